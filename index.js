@@ -8,16 +8,24 @@
 // Env:
 //   DISCORD_TOKEN (required)
 //   CLIENT_ID     (required) - for slash command registration (optional if you register via commands.js)
-//   GUILD_ID      (optional) - if set, registers to this guild on startup
+//                 Startup registration only re-registers when the deployed commands differ.
+//   GUILD_ID      (optional) - if set, registers to this guild on startup (comma-separated for several guilds)
 //   DATA_DIR      (optional) defaults ./data
 //   PORT          (optional) health server port (Railway uses 8080)
+//                 GET /healthz (liveness), /readyz (gateway + storage), /metrics (Prometheus text format)
+//   API_TOKEN     (optional) enables the read-only JSON API under /api/guilds/<guildId>/... (send "Authorization: Bearer <token>")
 //
-// Storage: JSON files in DATA_DIR
+// Storage: SQLite database in DATA_DIR (storage.js), partitioned per guild (one bot process can serve several servers).
+//          Existing state.json/requests.json/claims.json are imported once on first start.
 
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
 const http = require("http");
+const crypto = require("crypto");
+const { openStore, importJsonSnapshot, UNASSIGNED_GUILD } = require("./storage");
+const { syncCommands } = require("./slashCommands");
+const { sendRconCommand } = require("./rcon");
 
 const {
   Client,
@@ -33,13 +41,15 @@ const {
   InteractionType,
   ChannelType,
   REST,
-  Routes,
-  SlashCommandBuilder,
+  StringSelectMenuBuilder,
 } = require("discord.js");
 
 const TOKEN = process.env.DISCORD_TOKEN;
 const CLIENT_ID = process.env.CLIENT_ID || null;
-const GUILD_ID = process.env.GUILD_ID || null;
+const GUILD_IDS = String(process.env.GUILD_ID || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
 
 
 /**
@@ -78,12 +88,10 @@ if (!TOKEN) {
 }
 
 // -------------------- Health server --------------------
+// Routes live in the "Health & metrics" section below; they only run once the module has loaded.
 const PORT = Number(process.env.PORT || 8080);
 http
-  .createServer((req, res) => {
-    res.writeHead(200, { "content-type": "text/plain" });
-    res.end("ok");
-  })
+  .createServer((req, res) => handleHealthRequest(req, res))
   .listen(PORT, () => console.log(`✅ Health server listening on ${PORT}`));
 
 // -------------------- Storage --------------------
@@ -92,11 +100,14 @@ const BACKUP_DIR = path.join(DATA_DIR, "backups");
 fs.mkdirSync(DATA_DIR, { recursive: true });
 fs.mkdirSync(BACKUP_DIR, { recursive: true });
 
+const DB_PATH = path.join(DATA_DIR, "overseer.sqlite");
+
+// Legacy JSON files: imported into SQLite once, then left in place untouched.
 const STATE_PATH = path.join(DATA_DIR, "state.json");
 const REQUESTS_PATH = path.join(DATA_DIR, "requests.json");
 const CLAIMS_PATH = path.join(DATA_DIR, "claims.json");
 
-// ---- JSON helpers with rolling backups ----
+// ---- JSON reader with backup fallback (legacy import only) ----
 function safeReadJson(filePath, fallback) {
   try {
     if (!fs.existsSync(filePath)) return fallback;
@@ -123,38 +134,9 @@ function safeReadJson(filePath, fallback) {
   }
 }
 
-function writeJsonWithBackup(filePath, obj) {
-  const base = path.basename(filePath);
-  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
-  const backupPath = path.join(BACKUP_DIR, `${base}.${stamp}.bak`);
-  try {
-    if (fs.existsSync(filePath)) {
-      fs.copyFileSync(filePath, backupPath);
-    } else {
-      fs.writeFileSync(backupPath, JSON.stringify(obj, null, 2), "utf8");
-    }
-    // keep last 10 backups per file
-    const backups = fs
-      .readdirSync(BACKUP_DIR)
-      .filter((f) => f.startsWith(base + ".") && f.endsWith(".bak"))
-      .sort()
-      .reverse();
-    for (const extra of backups.slice(10)) {
-      fs.unlinkSync(path.join(BACKUP_DIR, extra));
-    }
-  } catch {
-    // ignore backup errors
-  }
-
-  const tmp = `${filePath}.tmp`;
-  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), "utf8");
-  fs.renameSync(tmp, filePath);
-}
-
 // -------------------- Persisted state --------------------
 /**
- * state = {
- *  guildId,
+ * guild config (one row per guild) = {
  *  rulesChannelId,
  *  applyChannelId,
  *  adminChannelId,
@@ -165,11 +147,18 @@ function writeJsonWithBackup(filePath, obj) {
  *  openSeasonRoleId,
  *  rulesAcceptedRoleId,
  *  rulesMessageId,
- *  applyMessageId
+ *  applyMessageId,
+ *  servers                [{ id, name, label, style, maps, whiteFlagDurationMs }] (see Servers; null = the two original servers)
+ *  whiteFlagDurationsMs   legacy { [server name]: ms }, folded into servers by the first /config servers change
+ *  bountyReward           { base, escalationStep, escalationMax } in tokens (see computeBountyReward)
+ *  seasonStartedAt        ms; start of the current season for /leaderboard (null = no season set)
+ *  eligibility            which history checks block a White Flag application (see whiteFlagIneligibility)
+ *  claimReview            { reminderHours: [], lockTimeoutHours, lockTimeoutAction: release|escalate, bountyExtensionHours }
  * }
+ *
+ * requests / claims are stored one row per record, each carrying its guildId (see storage.js).
  */
-let state = safeReadJson(STATE_PATH, {
-  guildId: null,
+const DEFAULT_GUILD_CONFIG = {
   rulesChannelId: null,
   applyChannelId: null,
   adminChannelId: null,
@@ -181,23 +170,75 @@ let state = safeReadJson(STATE_PATH, {
   rulesAcceptedRoleId: null,
   rulesMessageId: null,
   applyMessageId: null,
+  servers: null,
+  bountyReward: { base: 2000, escalationStep: 0, escalationMax: null },
+  seasonStartedAt: null,
+  statusBoardChannelId: null, // public board of protected tribes + open bounties (see Status board)
+  statusBoardMessageId: null,
+  eligibility: {
+    blockPastFlags: true,
+    blockEndedEarly: true,
+    blockActiveBounty: true,
+    oneOpenPerUser: true,
+    denialCooldownMs: 7 * 24 * 60 * 60 * 1000,
+  },
+  claimReview: {
+    reminderHours: [2, 8, 24], // after submission
+    lockTimeoutHours: 48, // 0 = never
+    lockTimeoutAction: "release",
+    bountyExtensionHours: 24,
+  },
+  digest: { enabled: true, time: "09:00", timeZone: "UTC" }, // daily admin digest, local time in timeZone
+  // In-game mirroring over RCON. servers: { [server id]: { host, port, password } };
+  // messages: RCON command per lifecycle event ("" = don't send). Placeholders are listed at RCON_PLACEHOLDERS.
+  rcon: {
+    servers: {},
+    messages: {
+      "whiteflag.approved": "ServerChat White Flag approved for {tribe}. Protected until {ends}.",
+      "whiteflag.expired": "ServerChat White Flag protection for {tribe} has expired.",
+      "whiteflag.ended_early": "ServerChat White Flag for {tribe} was ended early by the admins.",
+      "bounty.issued": "ServerChat Bounty issued on {tribe} ({targets}): {reward}, ends {ends}.",
+    },
+  },
+};
+
+const store = openStore(DB_PATH, { tribeKey: normalizeTribeName });
+
+const imported = importJsonSnapshot(store, {
+  state: safeReadJson(STATE_PATH, null),
+  requests: safeReadJson(REQUESTS_PATH, {}),
+  claims: safeReadJson(CLAIMS_PATH, {}),
+  fallbackGuildId: GUILD_IDS[0] || null,
+  defaultGuildConfig: DEFAULT_GUILD_CONFIG,
 });
+if (imported && (imported.guilds || imported.requests || imported.claims)) {
+  console.log(`✅ Imported JSON data into SQLite (${imported.guilds} guilds, ${imported.requests} records, ${imported.claims} claims)`);
+}
+if (imported && imported.unassigned) {
+  console.warn(`⚠️ ${imported.unassigned} legacy records have no guild and were stored under "${UNASSIGNED_GUILD}". Set GUILD_ID before the first start to avoid this.`);
+}
+
+function getGuildConfig(guildId) {
+  return { ...DEFAULT_GUILD_CONFIG, ...(store.getGuildConfig(guildId) || {}) };
+}
 
-let requests = safeReadJson(REQUESTS_PATH, {});
-let claims = safeReadJson(CLAIMS_PATH, {});
+function isGuildConfigured(guildId) {
+  return Boolean(guildId && store.getGuildConfig(guildId));
+}
 
 // -------------------- Constants --------------------
 const SEVEN_DAYS_MS = 7 * 24 * 60 * 60 * 1000;
 const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000;
 const ONE_DAY_MS = 24 * 60 * 60 * 1000;
-const BOUNTY_REWARD = "2,000 tokens";
+const ONE_HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_BOUNTY_REWARD = 2000; // tokens
+const MIN_WHITE_FLAG_ADJUST_MS = 60 * 60 * 1000;
 
 const CID = {
   RULES_ACCEPT: "wf_rules_accept",
-  APPLY_OPEN_25: "wf_apply_open_25",
-  APPLY_OPEN_100: "wf_apply_open_100",
-  APPLY_MODAL_25: "wf_apply_modal_25",
-  APPLY_MODAL_100: "wf_apply_modal_100",
+  RULES_EDIT_MODAL: "wf_rules_edit_modal",
+  APPLY_OPEN_PREFIX: "wf_apply_open:",
+  APPLY_MODAL_PREFIX: "wf_apply_modal:",
   ADMIN_APPROVE_PREFIX: "wf_admin_approve:",
   ADMIN_DENY_PREFIX: "wf_admin_deny:",
   ADMIN_END_EARLY_PREFIX: "wf_admin_end:",
@@ -205,18 +246,18 @@ const CID = {
   BOUNTY_CLAIM_SUBMIT_PREFIX: "bounty_claim_submit:",
   BOUNTY_CLAIM_APPROVE_PREFIX: "bounty_claim_approve:",
   BOUNTY_CLAIM_DENY_PREFIX: "bounty_claim_deny:",
+  REPORT_OPEN_PREFIX: "wf_report_open:",
+  REPORT_SUBMIT_PREFIX: "wf_report_submit:",
+  REPORT_DISMISS_PREFIX: "wf_report_dismiss:",
+  REPORT_ASK_INFO_PREFIX: "wf_report_ask:",
+  REPORT_ASK_INFO_MODAL_PREFIX: "wf_report_ask_modal:",
+  BOUNTY_REMOVE_PREFIX: "bounty_remove:",
+  DASHBOARD_PREFIX: "dash:",
+  PAYOUT_PAID_PREFIX: "payout_paid:",
+  PAYOUT_VOID_PREFIX: "payout_void:",
 };
 
 // -------------------- Helpers --------------------
-function persistAll() {
-  writeJsonWithBackup(STATE_PATH, state);
-  writeJsonWithBackup(REQUESTS_PATH, requests);
-}
-
-function persistClaims() {
-  writeJsonWithBackup(CLAIMS_PATH, claims);
-}
-
 function escapeMd(str) {
   if (!str) return "";
   return String(str).replace(/([*_`~|>])/g, "\\$1");
@@ -268,454 +309,2599 @@ function newClaimId() {
   return `c_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
 }
 
-function isApprovedAndActive(req, now = Date.now()) {
-  return req && req.status === "approved" && typeof req.approvedAt === "number" && req.approvedAt + SEVEN_DAYS_MS > now;
+function newReportId() {
+  return `r_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
 }
 
-function hasActiveBounty(req, now = Date.now()) {
-  return req && req.bounty && req.bounty.active === true && typeof req.bounty.endsAt === "number" && req.bounty.endsAt > now;
+function newTribeId() {
+  return `t_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
 }
 
-function getActiveBountyForTribe(tribeName) {
-  const key = normalizeTribeName(tribeName);
-  const now = Date.now();
-  for (const r of Object.values(requests)) {
-    if (normalizeTribeName(r?.tribeName) !== key) continue;
-    if (hasActiveBounty(r, now)) return r;
-  }
-  return null;
+function newPayoutId() {
+  return `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
 }
 
-function getActiveApprovedForTribe(tribeName) {
-  const key = normalizeTribeName(tribeName);
-  const now = Date.now();
-  for (const r of Object.values(requests)) {
-    if (normalizeTribeName(r?.tribeName) !== key) continue;
-    if (isApprovedAndActive(r, now)) return r;
-  }
-  return null;
+function newWebhookId() {
+  return `wh_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
 }
 
-async function safeFetchGuild(client) {
-  if (!state.guildId) return null;
-  return client.guilds.fetch(state.guildId).catch(() => null);
+// -------------------- Audit log --------------------
+// Append-only: every state transition writes one row (actor, action, ids, changed fields).
+const AUDIT = {
+  WF_APPLY: "wf.apply",
+  WF_AUTO_REJECT: "wf.auto_reject",
+  WF_APPROVE: "wf.approve",
+  WF_DENY: "wf.deny",
+  WF_END_EARLY: "wf.end_early",
+  WF_EXPIRE: "wf.expire",
+  WF_EXTEND: "wf.extend",
+  WF_SHORTEN: "wf.shorten",
+  BOUNTY_ADD: "bounty.add",
+  BOUNTY_REFRESH: "bounty.refresh",
+  BOUNTY_REMOVE: "bounty.remove",
+  BOUNTY_CLAIMED: "bounty.claimed",
+  BOUNTY_EXPIRE: "bounty.expire",
+  BOUNTY_EXTEND: "bounty.extend",
+  CLAIM_SUBMIT: "claim.submit",
+  CLAIM_EVIDENCE: "claim.evidence",
+  CLAIM_APPROVE: "claim.approve",
+  CLAIM_DENY: "claim.deny",
+  CLAIM_TIMEOUT: "claim.timeout",
+  CLAIM_FAIL: "claim.fail",
+  RULES_EDIT: "rules.edit",
+  REPORT_SUBMIT: "report.submit",
+  REPORT_INFO: "report.info",
+  REPORT_DISMISS: "report.dismiss",
+  REPORT_ACTION: "report.action",
+  PAYOUT_PAID: "payout.paid",
+  PAYOUT_VOID: "payout.void",
+  TRIBE_MERGE: "tribe.merge",
+  TRIBE_RENAME: "tribe.rename",
+};
+
+function cloneRecord(obj) {
+  return obj ? JSON.parse(JSON.stringify(obj)) : null;
 }
-async function safeFetchChannel(guild, channelId) {
-  if (!guild || !channelId) return null;
-  return guild.channels.fetch(channelId).catch(() => null);
+
+// Nested objects (e.g. bounty) are flattened one level: "bounty.endsAt".
+function flattenFields(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj || {})) {
+    if (v && typeof v === "object" && !Array.isArray(v)) {
+      for (const [k2, v2] of Object.entries(v)) out[`${k}.${k2}`] = v2;
+    } else {
+      out[k] = v;
+    }
+  }
+  return out;
 }
 
+function changedFields(before, after) {
+  const fb = flattenFields(before);
+  const fa = flattenFields(after);
+  const out = { before: {}, after: {} };
+  for (const key of new Set([...Object.keys(fb), ...Object.keys(fa)])) {
+    if (JSON.stringify(fb[key]) === JSON.stringify(fa[key])) continue;
+    if (key in fb) out.before[key] = fb[key];
+    if (key in fa) out.after[key] = fa[key];
+  }
+  return out;
+}
 
-async function safeDmUser(client, userId, content) {
+/**
+ * subject is the record, claim, report, payout or tribe after the change (or `after` for changes to anything
+ * else, like the rules); before is a cloneRecord() taken before mutating it (null for creations).
+ * actorId null means the bot itself.
+ */
+function recordAudit(guildId, actorId, action, { record = null, claim = null, report = null, payout = null, tribe = null, before = null, after = null } = {}) {
   try {
-    if (!userId) return false;
-    const user = await client.users.fetch(userId).catch(() => null);
-    if (!user) return false;
-    await user.send(content).catch(() => null);
-    return true;
-  } catch {
-    return false;
+    const subject = payout || report || claim || record || tribe || after;
+    const diff = changedFields(before, subject);
+    store.appendAudit({
+      guildId,
+      actorId,
+      action,
+      recordId: record?.id || claim?.bountyRecordId || report?.recordId || payout?.recordId || null,
+      claimId: claim?.id || payout?.claimId || null,
+      tribeName: subject?.tribeName || tribe?.name || null,
+      before: before ? diff.before : null,
+      after: diff.after,
+    });
+  } catch (e) {
+    console.error("Audit append failed:", e);
   }
 }
 
-// -------------------- Timers --------------------
-const activeTimeouts = new Map();
-const activeBountyTimeouts = new Map();
-const activeWfAlertTimeouts = new Map();
-const activeBountyAlertTimeouts = new Map();
-
-function scheduleExpiry(requestId) {
-  const req = requests[requestId];
-  if (!req || req.status !== "approved" || !req.approvedAt) return;
-
-  const existing = activeTimeouts.get(requestId);
-  if (existing) clearTimeout(existing);
+// "YYYY-MM-DD" (UTC) or anything Date.parse understands; endOfDay makes a bare date inclusive.
+function parseDateOption(str, { endOfDay = false } = {}) {
+  const v = String(str || "").trim();
+  if (!v) return null;
+  const bareDate = /^\d{4}-\d{2}-\d{2}$/.test(v);
+  const ms = Date.parse(bareDate ? `${v}T00:00:00Z` : v);
+  if (Number.isNaN(ms)) return NaN;
+  return bareDate && endOfDay ? ms + ONE_DAY_MS - 1 : ms;
+}
 
-  const now = Date.now();
-  const endsAt = req.approvedAt + SEVEN_DAYS_MS;
-  const delay = Math.max(0, endsAt - now);
+function formatAuditValue(v) {
+  if (v === null || v === undefined) return "∅";
+  const text = typeof v === "string" ? v : JSON.stringify(v);
+  return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+}
 
-  const t = setTimeout(async () => {
-    try {
-      requests = safeReadJson(REQUESTS_PATH, {});
-      const r = requests[requestId];
-      if (!r || r.status !== "approved") return;
+function formatAuditEntry(entry) {
+  const who = entry.actorId ? `<@${entry.actorId}>` : "system";
+  const changes = Object.keys(entry.after || {})
+    .slice(0, 4)
+    .map((k) => (entry.before ? `${k}: ${formatAuditValue(entry.before[k])} → ${formatAuditValue(entry.after[k])}` : `${k}: ${formatAuditValue(entry.after[k])}`))
+    .join("; ");
+  const ids = `\`${entry.recordId || "-"}\`${entry.claimId ? ` / \`${entry.claimId}\`` : ""}`;
+  return `• <t:${Math.floor(entry.at / 1000)}:f> **${entry.action}** by ${who} — **${escapeMd(entry.tribeName || "N/A")}** ${ids}${changes ? `\n  ${escapeMd(changes)}` : ""}`;
+}
 
-      r.status = "expired";
-      r.expiredAt = Date.now();
-      requests[requestId] = r;
-      persistAll();
+// Flags approved before endsAt was stored fall back to the old fixed 7 days.
+function whiteFlagEndsAt(req) {
+  if (!req) return null;
+  if (typeof req.endsAt === "number") return req.endsAt;
+  return typeof req.approvedAt === "number" ? req.approvedAt + SEVEN_DAYS_MS : null;
+}
 
-      // DM requester
-      await safeDmUser(bot, r.requestedBy, `⏳ Your White Flag protection for **${escapeMd(r.tribeName)}** has **EXPIRED**.`);
+function fmtDuration(ms) {
+  const hours = Math.round(Math.abs(ms) / (60 * 60 * 1000));
+  const d = Math.floor(hours / 24);
+  const h = hours % 24;
+  return [d ? `${d}d` : "", h ? `${h}h` : ""].filter(Boolean).join(" ") || "0h";
+}
 
-      const guild = await safeFetchGuild(bot);
-      if (!guild) return;
-      const adminCh = await safeFetchChannel(guild, state.bountyClaimsChannelId || state.adminChannelId);
-      if (adminCh && isTextChannel(adminCh)) {
-        await adminCh.send(`⏳ PROTECTION EXPIRED — White Flag ended for **${escapeMd(r.tribeName)}**.`);
-      }
-    } finally {
-      activeTimeouts.delete(requestId);
-    }
-  }, delay);
+// -------------------- Servers --------------------
+/**
+ * server = { id, name, label, style, maps: [], whiteFlagDurationMs }
+ * Records and tribes keep the server's id (serverId), so a server can be renamed without touching
+ * them; records from before the list existed carry the display name as serverType instead.
+ * Guilds that never changed the list get DEFAULT_SERVERS, with any legacy whiteFlagDurationsMs applied.
+ */
+const DEFAULT_SERVERS = [
+  { id: "25x", name: "25x PVP", label: "🏳️ Apply — 25x PVP", style: "primary" },
+  { id: "100x", name: "100x PVP Chaos", label: "🏳️ Apply — 100x PVP Chaos", style: "secondary" },
+];
+const SERVER_BUTTON_STYLES = { primary: ButtonStyle.Primary, secondary: ButtonStyle.Secondary, success: ButtonStyle.Success, danger: ButtonStyle.Danger };
+const SERVER_ID_RE = /^[a-z0-9][a-z0-9_-]{0,19}$/;
+const MAX_SERVERS = 25; // 5 button rows on the apply panel
+// Apply panels posted before the list existed use these custom IDs.
+const LEGACY_APPLY_SERVER_IDS = { wf_apply_open_25: "25x", wf_apply_open_100: "100x", wf_apply_modal_25: "25x", wf_apply_modal_100: "100x" };
+
+function guildServers(guildId) {
+  const cfg = getGuildConfig(guildId);
+  if (Array.isArray(cfg.servers)) return cfg.servers.map((s) => ({ ...s, maps: [...(s.maps || [])] }));
+  const legacy = cfg.whiteFlagDurationsMs || {};
+  return DEFAULT_SERVERS.map((s) => ({ ...s, maps: [], whiteFlagDurationMs: legacy[s.name] ?? null }));
+}
 
-  activeTimeouts.set(requestId, t);
+function saveGuildServers(guildId, servers) {
+  const guildCfg = getGuildConfig(guildId);
+  guildCfg.servers = servers;
+  delete guildCfg.whiteFlagDurationsMs;
+  store.saveGuildConfig(guildId, guildCfg);
 }
 
-function scheduleWhiteFlagExpiryWarning(requestId) {
-  const req = requests[requestId];
-  if (!req || req.status !== "approved" || !req.approvedAt) return;
-  if (req.wfWarnedAt) return;
+// By id, or by display name (legacy serverType values and typed-in option values).
+function findServer(guildId, key) {
+  const k = String(key || "").trim().toLowerCase();
+  if (!k) return null;
+  const servers = guildServers(guildId);
+  return servers.find((s) => s.id === k) || servers.find((s) => s.name.toLowerCase() === k) || null;
+}
 
-  const endsAt = req.approvedAt + SEVEN_DAYS_MS;
-  const warnAt = endsAt - ONE_DAY_MS;
-  const delay = Math.max(0, warnAt - Date.now());
+function recordServerId(guildId, r) {
+  if (!r) return null;
+  return r.serverId || findServer(guildId, r.serverType)?.id || null;
+}
 
-  const existing = activeWfAlertTimeouts.get(requestId);
-  if (existing) clearTimeout(existing);
+// Display name for a record's or tribe's server; a removed server shows its id.
+function serverName(guildId, r) {
+  if (r?.serverId) return findServer(guildId, r.serverId)?.name || r.serverId;
+  return r?.serverType || "N/A";
+}
 
-  const t = setTimeout(async () => {
-    try {
-      requests = safeReadJson(REQUESTS_PATH, {});
-      const r = requests[requestId];
-      if (!isApprovedAndActive(r)) return;
-      if (r.wfWarnedAt) return;
-
-      r.wfWarnedAt = Date.now();
-      requests[requestId] = r;
-      persistAll();
-
-      const guild = await safeFetchGuild(bot);
-      if (!guild) return;
-      const adminCh = await safeFetchChannel(guild, state.bountyClaimsChannelId || state.adminChannelId);
-      if (adminCh && isTextChannel(adminCh)) {
-        const ping = state.adminRoleId ? `<@&${state.adminRoleId}> ` : "";
-        await adminCh.send(`${ping}⚠️ White Flag for **${escapeMd(r.tribeName)}** expires in **24 hours**. Ends ${fmtDiscordRelativeTime(endsAt)} (ID: \`${r.id}\`).`);
-      }
-    } finally {
-      activeWfAlertTimeouts.delete(requestId);
-    }
-  }, delay);
+// The "server" option as a server id. Options autocomplete to ids, but a typed-in name resolves too.
+function serverOptionId(interaction) {
+  const value = (interaction.options.getString("server") || "").trim();
+  if (!value) return null;
+  return findServer(interaction.guildId, value)?.id || value.toLowerCase();
+}
 
-  activeWfAlertTimeouts.set(requestId, t);
+function whiteFlagDurationMs(guildId, serverId) {
+  const ms = findServer(guildId, serverId)?.whiteFlagDurationMs;
+  return typeof ms === "number" && ms > 0 ? ms : SEVEN_DAYS_MS;
 }
 
-function scheduleBountyExpiryWarning(requestId) {
-  const req = requests[requestId];
-  if (!hasActiveBounty(req)) return;
-  if (req.bountyWarnedAt) return;
+// Canonical spelling of map on server, or null when the server limits maps and map isn't one of them.
+function matchServerMap(server, map) {
+  if (!server.maps?.length) return map;
+  return server.maps.find((m) => m.toLowerCase() === map.toLowerCase()) || null;
+}
 
-  const warnAt = req.bounty.endsAt - ONE_DAY_MS;
-  const delay = Math.max(0, warnAt - Date.now());
+function applyServerIdFrom(customId, prefix) {
+  return customId.startsWith(prefix) ? customId.slice(prefix.length) : LEGACY_APPLY_SERVER_IDS[customId] || null;
+}
 
-  const existing = activeBountyAlertTimeouts.get(requestId);
-  if (existing) clearTimeout(existing);
+function fmtServerLine(guildId, s) {
+  const rcon = rconConfig(guildId).servers[s.id] ? " — RCON on" : "";
+  return (
+    `• \`${s.id}\` **${escapeMd(s.name)}** — button "${escapeMd(s.label)}" (${s.style}) — ` +
+    `maps: ${s.maps?.length ? escapeMd(s.maps.join(", ")) : "any"} — White Flag ${fmtDuration(whiteFlagDurationMs(guildId, s.id))}${rcon}`
+  );
+}
 
-  const t = setTimeout(async () => {
-    try {
-      requests = safeReadJson(REQUESTS_PATH, {});
-      const r = requests[requestId];
-      if (!hasActiveBounty(r)) return;
-      if (r.bountyWarnedAt) return;
-
-      r.bountyWarnedAt = Date.now();
-      requests[requestId] = r;
-      persistAll();
-
-      const guild = await safeFetchGuild(bot);
-      if (!guild) return;
-      const adminCh = await safeFetchChannel(guild, state.bountyClaimsChannelId || state.adminChannelId);
-      if (adminCh && isTextChannel(adminCh)) {
-        const ping = state.adminRoleId ? `<@&${state.adminRoleId}> ` : "";
-        await adminCh.send(`${ping}⚠️ Bounty on **${escapeMd(r.tribeName)}** expires in **24 hours**. Ends ${fmtDiscordRelativeTime(r.bounty.endsAt)} (ID: \`${r.id}\`).`);
+// One-time move of records and tribes from the server's display name (serverType) to its id.
+function backfillServerIds() {
+  if (store.getMeta("serverIdsBackfilledAt")) return;
+  try {
+    store.transaction(() => {
+      for (const r of store.listRequests()) {
+        const server = !r.serverId && findServer(r.guildId, r.serverType);
+        if (!server) continue;
+        r.serverId = server.id;
+        delete r.serverType;
+        store.saveRequest(r);
       }
-    } finally {
-      activeBountyAlertTimeouts.delete(requestId);
-    }
-  }, delay);
-
-  activeBountyAlertTimeouts.set(requestId, t);
+      for (const guildId of store.listGuildIds()) {
+        for (const t of store.listTribes(guildId)) {
+          const server = !t.serverId && findServer(guildId, t.serverType);
+          if (!server) continue;
+          t.serverId = server.id;
+          delete t.serverType;
+          store.saveTribe(t);
+        }
+      }
+    });
+    store.setMeta("serverIdsBackfilledAt", Date.now());
+  } catch (e) {
+    console.error("backfillServerIds failed:", e);
+  }
 }
 
-function scheduleBountyExpiry(requestId) {
-  const req = requests[requestId];
-  if (!hasActiveBounty(req)) return;
-
-  const existing = activeBountyTimeouts.get(requestId);
-  if (existing) clearTimeout(existing);
+// -------------------- Bounty rewards --------------------
+// Older records/claims stored the reward as display text ("2,000 tokens").
+function rewardTokens(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  const n = parseInt(String(value || "").replace(/[^\d]/g, ""), 10);
+  return Number.isNaN(n) ? 0 : n;
+}
 
-  const delay = Math.max(0, req.bounty.endsAt - Date.now());
+function fmtReward(tokens) {
+  return `${rewardTokens(tokens).toLocaleString("en-US")} tokens`;
+}
 
-  const t = setTimeout(async () => {
-    try {
-      requests = safeReadJson(REQUESTS_PATH, {});
-      const r = requests[requestId];
-      if (!r || !r.bounty) return;
-      const now2 = Date.now();
-      if (!(r.bounty.active === true && typeof r.bounty.endsAt === "number" && r.bounty.endsAt <= now2)) return;
+function bountyReward(record) {
+  const v = record?.bounty?.reward;
+  return v === undefined || v === null ? DEFAULT_BOUNTY_REWARD : rewardTokens(v);
+}
 
-      r.bounty.active = false;
-      r.bounty.expiredAt = now2;
-      requests[requestId] = r;
-      persistAll();
+function bountyRewardConfig(guildId) {
+  return { ...DEFAULT_GUILD_CONFIG.bountyReward, ...(getGuildConfig(guildId).bountyReward || {}) };
+}
 
-      const guild = await safeFetchGuild(bot);
-      if (!guild) return;
+// Earlier bounties or early terminations on other records for the same tribe.
+function countPriorOffenses(guildId, tribeName, excludeId = null) {
+  return store.listRequests({ guildId, tribeName }).filter((r) => r.id !== excludeId && (r.bounty || r.status === "ended_early")).length;
+}
 
-      // Disable claim button if we stored message ids
-      try {
-        const chId = r.bounty.announceChannelId;
-        const msgId = r.bounty.announceMessageId;
-        if (chId && msgId) {
-          const bountyCh = await guild.channels.fetch(chId).catch(() => null);
-          if (bountyCh && isTextChannel(bountyCh)) {
-            const msg = await bountyCh.messages.fetch(msgId).catch(() => null);
-            if (msg) await msg.edit({ content: msg.content + "\n🏁 **CLOSED**", components: [] }).catch(() => null);
-          }
-        }
-      } catch {
-        // ignore
-      }
-    } catch (e) {
-      console.error("Bounty expiry failed:", e);
-    } finally {
-      activeBountyTimeouts.delete(requestId);
-    }
-  }, delay);
+/**
+ * base + escalationStep per prior offense, capped at escalationMax (when set).
+ * Returns { amount, offenses }.
+ */
+function computeBountyReward(guildId, tribeName, excludeId = null) {
+  const conf = bountyRewardConfig(guildId);
+  const offenses = countPriorOffenses(guildId, tribeName, excludeId);
+  let amount = conf.base + conf.escalationStep * offenses;
+  if (typeof conf.escalationMax === "number") amount = Math.min(amount, Math.max(conf.base, conf.escalationMax));
+  return { amount, offenses };
+}
 
-  activeBountyTimeouts.set(requestId, t);
+// -------------------- Evidence attachments --------------------
+const MAX_CLAIM_ATTACHMENTS = 10;
+
+// What we keep of a Discord attachment (the file itself stays on Discord's CDN).
+function attachmentMeta(att) {
+  return {
+    id: att.id,
+    name: att.name,
+    url: att.url,
+    proxyUrl: att.proxyURL || null,
+    contentType: att.contentType || null,
+    size: att.size || 0,
+    width: att.width || null,
+    height: att.height || null,
+  };
 }
 
-// On startup: expire overdue items and re-schedule
-async function expireOverdueOnStartup() {
-  try {
-    requests = safeReadJson(REQUESTS_PATH, {});
-    const now = Date.now();
-    let changed = false;
+function isImageAttachment(a) {
+  return /^image\//.test(a?.contentType || "") || /\.(png|jpe?g|gif|webp)$/i.test(a?.name || "");
+}
 
-    for (const r of Object.values(requests)) {
-      if (r?.status === "approved" && r?.approvedAt && r.approvedAt + SEVEN_DAYS_MS <= now) {
-        r.status = "expired";
-        r.expiredAt = now;
-        changed = true;
-      }
-      if (r?.bounty?.active && typeof r.bounty.endsAt === "number" && r.bounty.endsAt <= now) {
-        r.bounty.active = false;
-        r.bounty.expiredAt = now;
-        changed = true;
-      }
-    }
-    if (changed) persistAll();
-  } catch (e) {
-    console.error("expireOverdueOnStartup failed:", e);
+// Attachment options named prefix1..prefixN that the user filled in.
+function attachmentOptions(interaction, prefix, count) {
+  const out = [];
+  for (let i = 1; i <= count; i++) {
+    const att = interaction.options.getAttachment(`${prefix}${i}`);
+    if (att) out.push(attachmentMeta(att));
   }
+  return out;
 }
 
-// -------------------- Panels --------------------
-function buildRulesEmbed() {
-  return new EmbedBuilder()
-    .setTitle("🛡️White Flag Rules🛡️")
+/**
+ * Embeds for the admin "Bounty Claim Submitted" message. The first image goes in the
+ * main embed; further images get an embed each (Discord shows one image per embed).
+ */
+function buildClaimSubmittedEmbeds(claim) {
+  const attachments = claim.attachments || [];
+  const images = attachments.filter(isImageAttachment);
+  const files = attachments.filter((a) => !isImageAttachment(a));
+  const main = new EmbedBuilder()
+    .setTitle("🎯 Bounty Claim Submitted")
     .setDescription(
-      [
-        "The White Flag system grants temporary protection to new tribes. Abuse triggers enforcement and will result in a bounty on your tribe.",
-        "",
-        "**Eligibility & Duration**",
-        "• White Flags are for **new tribes only**.",
-        "• Protection lasts **7 days from approval**.",
-        "• Admins will remove the white flag early if rules are broken.",
-        "",
-        "**While White Flag is Active**",
-        "• **YOU CAN NOT RAID OTHER TRIBES.**",
-        "• Build, farm, tame, establish your base.",
-        "• PvP is allowed as long as you are not raiding/scouting bases.",
-        "",
-        "**Violations**",
-        "• Raiding while under a White Flag = **immediate removal**.",
-        "• Abuse of protection = **immediate removal**.",
-        "• If you break any of the rules: Your White Flag will be removed and a bounty will be placed on your tribe.",
-      ].join("\n")
+      `Tribe: **${escapeMd(claim.tribeName)}**\n` +
+        `Reward: **${fmtReward(claim.reward)}**\n` +
+        `Submitted by: <@${claim.submittedBy}>\n` +
+        `Claimant IGN: **${escapeMd(claim.claimantIgn)}**\n` +
+        `Bounty Target IGN: **${escapeMd(claim.bountyTargetIgn)}**\n` +
+        (claim.proof ? `Proof: ${claim.proof}\n` : "") +
+        (claim.notes ? `Notes: ${escapeMd(claim.notes)}\n` : "") +
+        (files.length ? `Files: ${files.map((a) => `[${escapeMd(a.name)}](${a.url})`).join(", ")}\n` : "") +
+        (attachments.length ? `Attachments: **${attachments.length}**\n` : "") +
+        `Record ID: \`${claim.bountyRecordId}\`\nClaim ID: \`${claim.id}\``
     );
+  if (images[0]) main.setImage(images[0].url);
+  return [main, ...images.slice(1, 10).map((a) => new EmbedBuilder().setTitle(a.name).setImage(a.url))];
 }
 
-function buildRulesRow() {
+function buildClaimReviewRow(claimId) {
   return new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(CID.RULES_ACCEPT).setLabel("✅ I Agree & Understand").setStyle(ButtonStyle.Success)
+    new ButtonBuilder().setCustomId(`${CID.BOUNTY_CLAIM_APPROVE_PREFIX}${claimId}`).setLabel("Approve").setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`${CID.BOUNTY_CLAIM_DENY_PREFIX}${claimId}`).setLabel("Deny").setStyle(ButtonStyle.Danger)
   );
 }
 
-function buildApplyEmbed() {
-  return new EmbedBuilder()
-    .setTitle("🛡️White Flag Applications🛡️")
-    .setDescription(
-      ["Before applying, you must read and accept the rules.", "", "Choose:", "• **25x PVP**", "• **100x PVP Chaos**", "", "**Important:** Only **1 White Flag per tribe.**"].join("\n")
-    );
+// Post the claim to the admin queue and remember the message so later uploads can update it.
+async function postClaimForReview(guild, claim) {
+  const cfg = getGuildConfig(claim.guildId);
+  const adminCh = await safeFetchChannel(guild, cfg.bountyClaimsChannelId || cfg.adminChannelId);
+  if (!adminCh || !isTextChannel(adminCh)) return null;
+  const msg = await adminCh.send({ embeds: buildClaimSubmittedEmbeds(claim), components: [buildClaimReviewRow(claim.id)] });
+  claim.adminChannelId = adminCh.id;
+  claim.adminMessageId = msg.id;
+  store.saveClaim(claim);
+  return msg;
 }
 
-function buildApplyRow() {
-  return new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(CID.APPLY_OPEN_25).setLabel("🏳️ Apply — 25x PVP").setStyle(ButtonStyle.Primary),
-    new ButtonBuilder().setCustomId(CID.APPLY_OPEN_100).setLabel("🏳️ Apply — 100x PVP Chaos").setStyle(ButtonStyle.Secondary)
-  );
+// A claim no admin can see mustn't hold its target until the lock timeout: fail it and free the target.
+async function failUnpostedClaim(guild, claim) {
+  const before = cloneRecord(claim);
+  claim.status = "failed";
+  claim.failedAt = Date.now();
+  store.saveClaim(claim);
+  recordAudit(claim.guildId, null, AUDIT.CLAIM_FAIL, { claim, before });
+  cancelClaimJobs(claim.id);
+
+  const record = store.getRequest(claim.guildId, claim.bountyRecordId);
+  if (!record?.bounty) return;
+  const t = claimTargetOf(record, claim);
+  if (t && !t.claimedAt && t.lockedByClaimId === claim.id) {
+    t.locked = false;
+    t.lockedByClaimId = null;
+  }
+  syncBountyLock(record);
+  store.saveRequest(record);
+  refreshStatusBoardSoon(claim.guildId);
+  if (bountyTargets(record).length > 1) await refreshBountyAnnouncement(guild, record);
 }
 
-function buildAdminReviewEmbed(req) {
-  const endsAt = req.approvedAt ? req.approvedAt + SEVEN_DAYS_MS : null;
-  const e = new EmbedBuilder()
-    .setTitle("🛡️Application Received🛡️")
-    .addFields(
-      { name: "Server", value: escapeMd(req.serverType || "N/A"), inline: true },
-      { name: "IGN", value: escapeMd(req.ign || "N/A"), inline: true },
-      { name: "Tribe Name", value: escapeMd(req.tribeName || "N/A"), inline: true },
-      { name: "Map", value: escapeMd(req.map || "N/A"), inline: true },
-      { name: "Requested By", value: `<@${req.requestedBy}>`, inline: false }
-    )
-    .setFooter({ text: `Request ID: ${req.id}` });
-  if (endsAt) e.addFields({ name: "Ends", value: fmtDiscordRelativeTime(endsAt), inline: true });
-  return e;
+// Post the claim to the review queue; on failure the claim is failed. Returns null or the reason it failed.
+async function postClaimOrFail(guild, claim) {
+  let error = null;
+  try {
+    if (!(await postClaimForReview(guild, claim))) error = "no review channel is set up";
+  } catch (e) {
+    console.error("Posting claim for review failed:", e);
+    error = e?.message || String(e);
+  }
+  if (error) await failUnpostedClaim(guild, claim);
+  return error;
 }
 
-function buildAdminReviewRow(reqId) {
-  return new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`${CID.ADMIN_APPROVE_PREFIX}${reqId}`).setLabel("Approve").setStyle(ButtonStyle.Success),
-    new ButtonBuilder().setCustomId(`${CID.ADMIN_DENY_PREFIX}${reqId}`).setLabel("Deny").setStyle(ButtonStyle.Danger)
-  );
+/** Save a new claim, lock its target and post it for review (/bounty claim and the claim modal). Returns null or the reason it failed. */
+async function submitClaim(guild, actorId, target, bountyTarget, claim) {
+  store.saveClaim(claim);
+  recordAudit(claim.guildId, actorId, AUDIT.CLAIM_SUBMIT, { claim });
+  lockBountyTarget(target, bountyTarget, claim.id);
+  scheduleClaimJobs(claim);
+  if (bountyTargets(target).length > 1) await refreshBountyAnnouncement(guild, target);
+  return postClaimOrFail(guild, claim);
 }
 
-function buildEndEarlyRow(reqId) {
+// -------------------- Payouts --------------------
+// Approved claims owe the claimant their reward until staff mark it paid (or void it).
+function createClaimPayout(guildId, claim, target) {
+  return store.createPayout({
+    id: newPayoutId(),
+    guildId,
+    claimId: claim.id,
+    recordId: claim.bountyRecordId,
+    tribeName: claim.tribeName,
+    userId: claim.submittedBy,
+    amount: rewardTokens(claim.reward ?? bountyReward(target)),
+  });
+}
+
+function payoutStatusLine(payout) {
+  if (payout.status === "paid") return `💰 **PAID** by <@${payout.paidBy}> ${fmtDiscordRelativeTime(payout.paidAt)}`;
+  if (payout.status === "voided") return `🚫 **PAYOUT VOIDED** by <@${payout.voidedBy}> ${fmtDiscordRelativeTime(payout.voidedAt)}`;
+  return `⏳ Payout owed: **${fmtReward(payout.amount)}** to <@${payout.userId}>`;
+}
+
+function buildPayoutRow(payout) {
+  const done = payout.status !== "owed";
   return new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`${CID.ADMIN_END_EARLY_PREFIX}${reqId}`).setLabel("End Early (Force Bounty)").setStyle(ButtonStyle.Danger)
+    new ButtonBuilder().setCustomId(`${CID.PAYOUT_PAID_PREFIX}${payout.id}`).setLabel("Mark Paid").setStyle(ButtonStyle.Success).setDisabled(done),
+    new ButtonBuilder().setCustomId(`${CID.PAYOUT_VOID_PREFIX}${payout.id}`).setLabel("Void").setStyle(ButtonStyle.Secondary).setDisabled(done)
   );
 }
 
-function ensureRulesAcceptedRoleId(guild) {
-  // non-privileged approach: we store role id if provided; /setup will create if missing
-  return state.rulesAcceptedRoleId || null;
+function fmtPayoutLine(payout) {
+  return `• \`${payout.id}\` — <@${payout.userId}> — **${fmtReward(payout.amount)}** — ${payout.status.toUpperCase()} — **${escapeMd(payout.tribeName || "N/A")}** (claim \`${payout.claimId}\`)`;
 }
 
-// -------------------- Slash command registration (optional) --------------------
-async function registerSlashCommandsOnStartup() {
-  if (!CLIENT_ID) return;
-  const commands = [
-    new SlashCommandBuilder()
-      .setName("setup")
-      .setDescription("Post rules + apply panels and configure channels/roles for White Flag.")
-      .addChannelOption((o) => o.setName("rules_channel").setDescription("Rules channel").setRequired(true))
-      .addChannelOption((o) => o.setName("apply_channel").setDescription("Apply channel").setRequired(true))
-      .addChannelOption((o) => o.setName("admin_channel").setDescription("Admin review channel").setRequired(true))
-      .addChannelOption((o) => o.setName("announce_channel").setDescription("Announcements channel").setRequired(true))
-      .addRoleOption((o) => o.setName("admin_role").setDescription("Admin role").setRequired(true))
-      .addRoleOption((o) => o.setName("pvp_role").setDescription("Pvp role").setRequired(true))
-      .addChannelOption((o) => o.setName("bounty_claims_review_channel").setDescription("Channel for bounty claim admin logs (optional)").setRequired(false))
-      .addChannelOption((o) => o.setName("bounty_channel").setDescription("Bounty channel (optional)").setRequired(false)),
-    new SlashCommandBuilder().setName("rules").setDescription("Show rules"),
-    new SlashCommandBuilder().setName("whiteflags").setDescription("White Flag utilities.").addSubcommand((sc) => sc.setName("active").setDescription("Show active White Flags")),
-    new SlashCommandBuilder().setName("bounties").setDescription("Bounty utilities.").addSubcommand((sc) => sc.setName("active").setDescription("Show active bounties")),
-    new SlashCommandBuilder()
-      .setName("bounty")
-      .setDescription("Create, remove, or claim bounties.")
-      .addSubcommand((sc) =>
-        sc
-          .setName("add")
-          .setDescription("Add/refresh a bounty for a tribe (1 week).")
-          .addStringOption((opt) => opt.setName("tribe").setDescription("Tribe name").setRequired(true))
-          .addStringOption((opt) => opt.setName("ign").setDescription("Target IGN (optional)").setRequired(false))
-          .addStringOption((opt) => opt.setName("server").setDescription("Server/Cluster (optional)").setRequired(false))
-          .addStringOption((opt) => opt.setName("reason").setDescription("Reason (optional)").setRequired(false))
-      )
-      .addSubcommand((sc) =>
-        sc
-          .setName("remove")
-          .setDescription("Remove an active bounty by tribe or ID.")
-          .addStringOption((opt) => opt.setName("tribe").setDescription("Tribe name").setRequired(false))
-          .addStringOption((opt) => opt.setName("id").setDescription("Bounty record ID").setRequired(false))
-      )
-      .addSubcommand((sc) =>
-        sc
-          .setName("claim")
-          .setDescription("Submit a bounty claim (admin review).")
-          .addStringOption((opt) => opt.setName("tribe").setDescription("Bounty tribe").setRequired(true))
-          .addStringOption((opt) => opt.setName("ign").setDescription("Your IGN").setRequired(true))
-          .addStringOption((opt) => opt.setName("bounty_ign").setDescription("Bounty target IGN").setRequired(true))
-          .addStringOption((opt) => opt.setName("proof").setDescription("Proof link/text").setRequired(true))
-          .addStringOption((opt) => opt.setName("notes").setDescription("Optional notes").setRequired(false))
-      ),
-    new SlashCommandBuilder()
-      .setName("admin")
-      .setDescription("Admin dashboards.")
-      .addSubcommand((sc) =>
-        sc
-          .setName("bounties")
-          .setDescription("List bounties")
-          .addStringOption((o) =>
-            o
-              .setName("filter")
-              .setDescription("active|expired|all")
-              .setRequired(false)
-              .addChoices({ name: "active", value: "active" }, { name: "expired", value: "expired" }, { name: "all", value: "all" })
-          )
-      )
-      .addSubcommand((sc) =>
-        sc
-          .setName("claims")
-          .setDescription("List claims")
-          .addStringOption((o) =>
-            o
-              .setName("filter")
-              .setDescription("pending|approved|denied|all")
-              .setRequired(false)
-              .addChoices({ name: "pending", value: "pending" }, { name: "approved", value: "approved" }, { name: "denied", value: "denied" }, { name: "all", value: "all" })
-          )
-      ),
-  ].map((c) => c.toJSON());
+// -------------------- Bounty targets --------------------
+/**
+ * bounty.targets = [{ ign, reward, locked, lockedByClaimId, claimedAt, claimedBy, claimId }]
+ * Each target is claimed on its own; the bounty closes once every target is claimed.
+ * bounty.locked/lockedByClaimId are kept as "nothing left to claim" for older code paths.
+ */
+const BOUNTY_TARGETS_MARKER = "\n**Targets:**";
+
+function parseIgnList(str) {
+  const seen = new Set();
+  return String(str || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter((s) => s && !seen.has(s.toLowerCase()) && seen.add(s.toLowerCase()));
+}
 
-  const rest = new REST({ version: "10" }).setToken(TOKEN);
+function makeBountyTarget(ign) {
+  return { ign: ign || "N/A", reward: 0, locked: false, lockedByClaimId: null, claimedAt: null, claimedBy: null, claimId: null };
+}
+
+// Bounties from before multi-target support get their single target built from the old fields.
+function bountyTargets(record) {
+  const b = record.bounty;
+  if (!Array.isArray(b.targets)) {
+    b.targets = [
+      {
+        ...makeBountyTarget(record.ign),
+        reward: bountyReward(record),
+        locked: Boolean(b.locked && !b.claimedAt),
+        lockedByClaimId: b.lockedByClaimId || null,
+        claimedAt: b.claimedAt || null,
+        claimedBy: b.claimedBy || null,
+        claimId: b.claimedAt ? b.lockedByClaimId || null : null,
+      },
+    ];
+  }
+  return b.targets;
+}
+
+// Unclaimed targets share the bounty total equally; claimed ones keep what they paid out.
+function rebalanceBountyShares(record) {
+  const targets = bountyTargets(record);
+  const share = Math.floor(bountyReward(record) / targets.length);
+  for (const t of targets) if (!t.claimedAt) t.reward = share;
+}
+
+function setBountyTargets(record, igns) {
+  const old = Array.isArray(record.bounty.targets) ? bountyTargets(record) : [];
+  const keep = old.filter((t) => t.claimedAt || t.locked);
+  const names = igns.length ? igns : [record.ign || "N/A"];
+  const fresh = names.filter((n) => !keep.some((t) => t.ign.toLowerCase() === n.toLowerCase())).map(makeBountyTarget);
+  record.bounty.targets = [...keep, ...fresh];
+  rebalanceBountyShares(record);
+  syncBountyLock(record);
+}
+
+function openBountyTargets(record) {
+  return bountyTargets(record).filter((t) => !t.claimedAt && !t.locked);
+}
+
+function syncBountyLock(record) {
+  const targets = bountyTargets(record);
+  const pending = targets.find((t) => t.locked && !t.claimedAt);
+  record.bounty.locked = targets.every((t) => t.claimedAt || t.locked);
+  record.bounty.lockedByClaimId = pending ? pending.lockedByClaimId : null;
+}
+
+// Single-target bounties accept any target IGN (as before); multi-target ones must name an open target.
+function findOpenBountyTarget(record, ign) {
+  const open = openBountyTargets(record);
+  if (bountyTargets(record).length === 1) return open[0] || null;
+  return open.find((t) => t.ign.toLowerCase() === String(ign || "").trim().toLowerCase()) || null;
+}
+
+function claimTargetOf(record, claim) {
+  const targets = bountyTargets(record);
+  return targets.find((t) => t.lockedByClaimId === claim.id || t.claimId === claim.id) || (targets.length === 1 ? targets[0] : null);
+}
+
+function fmtBountyTargetLine(t) {
+  if (t.claimedAt) return `• ~~${escapeMd(t.ign)}~~ — claimed by <@${t.claimedBy}>`;
+  if (t.locked) return `• **${escapeMd(t.ign)}** — 🔒 claim under review`;
+  return `• **${escapeMd(t.ign)}** — open — ${fmtReward(t.reward)}`;
+}
+
+function bountyTargetsBlock(record) {
+  const targets = bountyTargets(record);
+  if (targets.length < 2) return "";
+  return `${BOUNTY_TARGETS_MARKER}\n${targets.map(fmtBountyTargetLine).join("\n")}`;
+}
+
+// Rewrite the target list on the public bounty post (the headline above it stays as posted).
+async function refreshBountyAnnouncement(guild, record, { closedLine = null } = {}) {
   try {
-    if (GUILD_ID) {
-      await rest.put(Routes.applicationGuildCommands(CLIENT_ID, GUILD_ID), { body: commands });
-      console.log("✅ Slash commands registered (guild)");
-    } else {
-      await rest.put(Routes.applicationCommands(CLIENT_ID), { body: commands });
-      console.log("✅ Slash commands registered (global)");
+    const chId = record.bounty.announceChannelId;
+    const msgId = record.bounty.announceMessageId;
+    if (!guild || !chId || !msgId) return;
+    const ch = await guild.channels.fetch(chId).catch(() => null);
+    if (!ch || !isTextChannel(ch)) return;
+    const msg = await ch.messages.fetch(msgId).catch(() => null);
+    if (!msg) return;
+    const head = msg.content.split(BOUNTY_TARGETS_MARKER)[0];
+    const content = head + bountyTargetsBlock(record) + (closedLine ? `\n${closedLine}` : "");
+    await msg.edit({ content, ...(closedLine ? { components: [] } : {}), allowedMentions: { parse: [] } }).catch(() => null);
+  } catch {
+    // ignore
+  }
+}
+
+// Cancel an active bounty (/bounty remove and the dashboard's Remove button).
+async function removeBounty(guild, target, actorId) {
+  cancelBountyJobs(target.id);
+
+  const before = cloneRecord(target);
+  target.bounty.active = false;
+  target.bounty.removedAt = Date.now();
+  target.bounty.removedBy = actorId;
+  target.bounty.locked = false;
+  target.bounty.lockedByClaimId = null;
+  store.saveRequest(target);
+  recordAudit(target.guildId, actorId, AUDIT.BOUNTY_REMOVE, { record: target, before });
+  emitLifecycleEvent(target.guildId, LIFECYCLE_EVENTS.BOUNTY_CANCELED, { record: target });
+
+  // disable claim post
+  try {
+    const chId = target.bounty.announceChannelId;
+    const msgId = target.bounty.announceMessageId;
+    if (guild && chId && msgId) {
+      const bountyCh = await guild.channels.fetch(chId).catch(() => null);
+      if (bountyCh && isTextChannel(bountyCh)) {
+        const msg = await bountyCh.messages.fetch(msgId).catch(() => null);
+        if (msg) await msg.edit({ content: msg.content + "\n🛑 **CANCELED**", components: [] }).catch(() => null);
+      }
     }
-  } catch (e) {
-    console.error("Slash command registration failed:", e);
+  } catch {
+    // ignore
   }
 }
 
-// -------------------- Discord client --------------------
-const bot = new Client({
-  intents: [GatewayIntentBits.Guilds], // no privileged intents
-});
+// Reserve target for claimId (also used by the claim modal).
+function lockBountyTarget(record, target, claimId) {
+  target.locked = true;
+  target.lockedByClaimId = claimId;
+  syncBountyLock(record);
+  store.saveRequest(record);
+  refreshStatusBoardSoon(record.guildId);
+}
 
-bot.once("clientReady", async () => {
-  console.log(`✅ Logged in as ${bot.user.tag} — build clean_v5_combined_open_season_bounty`);
+// -------------------- Hunter stats --------------------
+const LEADERBOARD_SIZE = 10;
 
-  await registerSlashCommandsOnStartup();
-  await expireOverdueOnStartup();
+// Start of a /leaderboard period, or null for all time. Season without a start falls back to all time.
+function statsPeriodStart(guildId, period, now = Date.now()) {
+  if (period === "week") return now - ONE_WEEK_MS;
+  if (period === "season") return getGuildConfig(guildId).seasonStartedAt || null;
+  return null;
+}
+
+function claimReward(claim, target) {
+  return rewardTokens(claim.reward ?? bountyReward(target));
+}
+
+/**
+ * Approved claims grouped by claimant, optionally limited to claims approved
+ * since a time and to bounties on one server. Sorted by claims, then rewards.
+ */
+function hunterLeaderboard(guildId, { since = null, serverId = null, sortBy = "claims" } = {}) {
+  const records = new Map(store.listRequests({ guildId }).map((r) => [r.id, r]));
+  const byUser = new Map();
+  for (const c of store.listClaims({ guildId, status: "approved" })) {
+    if (since && (c.approvedAt || 0) < since) continue;
+    const target = records.get(c.bountyRecordId);
+    if (serverId && recordServerId(guildId, target) !== serverId) continue;
+    const row = byUser.get(c.submittedBy) || { userId: c.submittedBy, claims: 0, rewards: 0, ign: c.claimantIgn };
+    row.claims++;
+    row.rewards += claimReward(c, target);
+    byUser.set(c.submittedBy, row);
+  }
+  const primary = sortBy === "rewards" ? "rewards" : "claims";
+  const secondary = primary === "rewards" ? "claims" : "rewards";
+  return [...byUser.values()].sort((a, b) => b[primary] - a[primary] || b[secondary] - a[secondary]);
+}
 
-  // Re-schedule timers
+function hunterProfile(guildId, userId) {
+  const records = new Map(store.listRequests({ guildId }).map((r) => [r.id, r]));
+  const claims = store.listClaims({ guildId }).filter((c) => c.submittedBy === userId);
+  const count = (status) => claims.filter((c) => c.status === status).length;
+  const approved = count("approved");
+  const denied = count("denied");
+  const rewards = claims.filter((c) => c.status === "approved").reduce((sum, c) => sum + claimReward(c, records.get(c.bountyRecordId)), 0);
+  return {
+    approved,
+    denied,
+    pending: count("pending"),
+    rewards,
+    approvalRate: approved + denied ? approved / (approved + denied) : null,
+    igns: [...new Set(claims.map((c) => c.claimantIgn).filter(Boolean))],
+    recent: [...claims].sort((a, b) => (b.submittedAt || 0) - (a.submittedAt || 0)).slice(0, 5),
+  };
+}
+
+// -------------------- Tribe registry --------------------
+/**
+ * tribe = { id, guildId, name, aliases: [], userIds: [], igns: [], serverId, createdAt, mergedFrom: [] }
+ * Records keep the tribeName they were filed under; the store resolves any alias
+ * to all of the tribe's names when listing by tribe.
+ */
+function addUnique(list, value) {
+  if (!value || value === "N/A" || list.some((v) => normalizeTribeName(v) === normalizeTribeName(value))) return false;
+  list.push(value);
+  return true;
+}
+
+// Find or register the tribe for name, linking whatever we learned about it. Never throws.
+function ensureTribe(guildId, name, { userId = null, ign = null, serverId = null } = {}) {
+  if (!guildId || !normalizeTribeName(name)) return null;
   try {
-    requests = safeReadJson(REQUESTS_PATH, {});
-    const now = Date.now();
-    for (const [id, r] of Object.entries(requests)) {
-      if (isApprovedAndActive(r, now)) {
-        scheduleExpiry(id);
-        scheduleWhiteFlagExpiryWarning(id);
-      }
-      if (hasActiveBounty(r, now)) {
-        scheduleBountyExpiry(id);
-        scheduleBountyExpiryWarning(id);
-      }
+    let tribe = store.findTribe(guildId, name);
+    let changed = false;
+    if (!tribe) {
+      tribe = { id: newTribeId(), guildId, name: name.trim(), aliases: [], userIds: [], igns: [], serverId: null, createdAt: Date.now(), mergedFrom: [] };
+      changed = true;
+    }
+    if (userId && !tribe.userIds.includes(userId)) {
+      tribe.userIds.push(userId);
+      changed = true;
+    }
+    if (addUnique(tribe.igns, ign)) changed = true;
+    if (serverId && tribe.serverId !== serverId) {
+      tribe.serverId = serverId;
+      delete tribe.serverType;
+      changed = true;
     }
+    if (changed) store.saveTribe(tribe);
+    return tribe;
+  } catch (e) {
+    console.error("ensureTribe failed:", e);
+    return null;
+  }
+}
+
+// Records a member filed themselves (applications) link the user; bounty-only records were filed by staff.
+function ensureTribeFromRecord(r) {
+  return ensureTribe(r.guildId, r.tribeName, {
+    userId: r.status === "bounty_only" ? null : r.requestedBy,
+    ign: r.ign,
+    serverId: recordServerId(r.guildId, r),
+  });
+}
+
+// One-time registration of tribes for records that predate the registry.
+function backfillTribes() {
+  if (store.getMeta("tribesBackfilledAt")) return;
+  try {
+    store.transaction(() => {
+      for (const r of store.listRequests()) ensureTribeFromRecord(r);
+    });
+    store.setMeta("tribesBackfilledAt", Date.now());
   } catch (e) {
-    console.error("Failed to reschedule timers:", e);
+    console.error("backfillTribes failed:", e);
+  }
+}
+
+// Registered tribe for name, registering it from its records if it has some but predates the registry.
+function resolveTribe(guildId, name) {
+  const tribe = store.findTribe(guildId, name);
+  if (tribe) return tribe;
+  const records = store.listRequests({ guildId, tribeName: name });
+  if (!records.length) return null;
+  for (const r of records) ensureTribeFromRecord(r);
+  return store.findTribe(guildId, name);
+}
+
+// Fold `from` into `into`: names become aliases, links are combined, and `from` is removed.
+function mergeTribes(from, into) {
+  for (const n of [from.name, ...from.aliases]) addUnique(into.aliases, n);
+  for (const u of from.userIds) if (!into.userIds.includes(u)) into.userIds.push(u);
+  for (const i of from.igns) addUnique(into.igns, i);
+  into.serverId = into.serverId || from.serverId || null;
+  into.mergedFrom = [...(into.mergedFrom || []), from.id];
+  store.transaction(() => {
+    store.deleteTribe(from.guildId, from.id);
+    store.saveTribe(into);
+  });
+  return into;
+}
+
+function fmtTribeRecordLine(r) {
+  const when = r.approvedAt || r.requestedAt;
+  const base = `• \`${r.id}\` ${r.status === "bounty_only" ? "BOUNTY" : String(r.status || "?").toUpperCase()} — ${escapeMd(serverName(r.guildId, r))}${when ? ` — <t:${Math.floor(when / 1000)}:d>` : ""}`;
+  if (!r.bounty) return base;
+  const state = hasActiveBounty(r) ? "active" : r.bounty.claimedAt ? "claimed" : "closed";
+  return `${base} — bounty ${state} (${fmtReward(bountyReward(r))})`;
+}
+
+function buildTribeInfoEmbed(guildId, tribe, name) {
+  const records = store.listRequests({ guildId, tribeName: tribe ? tribe.name : name });
+  const claims = records.flatMap((r) => store.listClaims({ guildId, bountyRecordId: r.id }));
+  const clip = (lines) => {
+    let out = "";
+    for (const line of lines) {
+      if (out.length + line.length + 20 > 1024) return `${out}\n…`;
+      out += (out ? "\n" : "") + line;
+    }
+    return out || "None";
+  };
+
+  const whiteFlags = records.filter((r) => r.status !== "bounty_only");
+  const bounties = records.filter((r) => r.bounty);
+  return new EmbedBuilder()
+    .setTitle(`🛡️ Tribe — ${tribe ? tribe.name : name}`)
+    .addFields(
+      { name: "Aliases", value: escapeMd((tribe?.aliases || []).join(", ")) || "None", inline: true },
+      { name: "Server", value: escapeMd(serverName(guildId, tribe)), inline: true },
+      { name: "Members", value: (tribe?.userIds || []).map((u) => `<@${u}>`).join(", ").slice(0, 1024) || "None", inline: false },
+      { name: "IGNs", value: escapeMd((tribe?.igns || []).join(", ")).slice(0, 1024) || "None", inline: false },
+      { name: `White Flags (${whiteFlags.length})`, value: clip(whiteFlags.map(fmtTribeRecordLine)), inline: false },
+      { name: `Bounties (${bounties.length})`, value: clip(bounties.map(fmtTribeRecordLine)), inline: false },
+      {
+        name: `Claims (${claims.length})`,
+        value: clip(claims.map((c) => `• \`${c.id}\` ${c.status.toUpperCase()} by <@${c.submittedBy}> — ${fmtReward(c.reward ?? 0)}`)),
+        inline: false,
+      }
+    )
+    .setFooter({ text: tribe ? `Tribe ID: ${tribe.id}` : "Not in the tribe registry" });
+}
+
+// -------------------- Eligibility --------------------
+function eligibilityConfig(guildId) {
+  return { ...DEFAULT_GUILD_CONFIG.eligibility, ...(getGuildConfig(guildId).eligibility || {}) };
+}
+
+function userOpenApplication(guildId, userId) {
+  return store.listRequests({ guildId, status: "pending" }).find((r) => r.requestedBy === userId) || null;
+}
+
+/**
+ * Why userId can't apply for tribeName right now, or null if they can.
+ * Looks at the tribe's whole history (all aliases), so renamed/merged tribes can't dodge it.
+ */
+function whiteFlagIneligibility(guildId, tribeName, userId, now = Date.now()) {
+  const rules = eligibilityConfig(guildId);
+  const history = store.listRequests({ guildId, tribeName });
+
+  if (history.some((r) => isApprovedAndActive(r, now))) return "That tribe already has an active White Flag.";
+  if (rules.blockActiveBounty && history.some((r) => hasActiveBounty(r, now))) return "That tribe has an active bounty.";
+  if (rules.blockEndedEarly && history.some((r) => r.status === "ended_early")) {
+    return "That tribe's White Flag was ended early for breaking the rules.";
+  }
+  if (rules.blockPastFlags && history.some((r) => typeof r.approvedAt === "number")) {
+    return "That tribe has had a White Flag before; White Flags are for new tribes only.";
+  }
+  if (rules.denialCooldownMs > 0) {
+    const lastDenied = Math.max(0, ...history.map((r) => (r.status === "denied" && r.deniedAt) || 0));
+    if (lastDenied && now - lastDenied < rules.denialCooldownMs) {
+      return `That tribe was denied recently; it can reapply ${fmtDiscordRelativeTime(lastDenied + rules.denialCooldownMs)}.`;
+    }
+  }
+  if (rules.oneOpenPerUser && userOpenApplication(guildId, userId)) return "You already have an application waiting for review.";
+  return null;
+}
+
+function isApprovedAndActive(req, now = Date.now()) {
+  return req && req.status === "approved" && typeof req.approvedAt === "number" && whiteFlagEndsAt(req) > now;
+}
+
+function hasActiveBounty(req, now = Date.now()) {
+  return req && req.bounty && req.bounty.active === true && typeof req.bounty.endsAt === "number" && req.bounty.endsAt > now;
+}
+
+function getActiveBountyForTribe(guildId, tribeName) {
+  const now = Date.now();
+  for (const r of store.listRequests({ guildId, tribeName })) {
+    if (hasActiveBounty(r, now)) return r;
+  }
+  return null;
+}
+
+function getActiveApprovedForTribe(guildId, tribeName) {
+  const now = Date.now();
+  for (const r of store.listRequests({ guildId, tribeName })) {
+    if (isApprovedAndActive(r, now)) return r;
+  }
+  return null;
+}
+
+async function safeFetchGuild(client, guildId) {
+  if (!isGuildConfigured(guildId)) return null;
+  return client.guilds.fetch(guildId).catch(() => null);
+}
+async function safeFetchChannel(guild, channelId) {
+  if (!guild || !channelId) return null;
+  return guild.channels.fetch(channelId).catch(() => null);
+}
+
+
+async function safeDmUser(client, userId, content) {
+  try {
+    if (!userId) return false;
+    const user = await client.users.fetch(userId).catch(() => null);
+    if (!user) return false;
+    await user.send(content).catch(() => null);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// -------------------- Webhooks --------------------
+// Lifecycle events are POSTed as JSON to every subscribed endpoint. Each delivery is stored and sent by
+// a WEBHOOK_DELIVER job, so failures retry with the job queue's backoff and survive restarts.
+// Receivers verify X-Overseer-Signature: "sha256=" + hex HMAC-SHA256 of the raw body with the webhook secret.
+const LIFECYCLE_EVENTS = {
+  WF_APPROVED: "whiteflag.approved",
+  WF_EXPIRED: "whiteflag.expired",
+  WF_ENDED_EARLY: "whiteflag.ended_early",
+  BOUNTY_ISSUED: "bounty.issued",
+  BOUNTY_CLAIMED: "bounty.claimed",
+  BOUNTY_CANCELED: "bounty.canceled",
+  BOUNTY_EXPIRED: "bounty.expired",
+};
+const WEBHOOK_TEST_EVENT = "ping";
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_DELIVERY_RETENTION_MS = 30 * ONE_DAY_MS;
+
+function signWebhookPayload(secret, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+function webhookPayload(guildId, event, { record = null, claim = null } = {}) {
+  const now = Date.now();
+  return JSON.stringify({
+    event,
+    guildId,
+    occurredAt: new Date(now).toISOString(),
+    data: { record: record ? apiRecord(record, now) : null, claim: claim ? apiClaim(claim) : null },
+  });
+}
+
+/** Queue `event` for every webhook subscribed to it. Never throws: webhooks must not break the Discord flow. */
+function emitWebhookEvent(guildId, event, subjects = {}) {
+  try {
+    const hooks = store.listWebhooks(guildId).filter((h) => !h.events.length || h.events.includes(event));
+    if (!hooks.length) return;
+    const payload = webhookPayload(guildId, event, subjects);
+    for (const hook of hooks) {
+      const delivery = store.createWebhookDelivery({ guildId, webhookId: hook.id, event, payload });
+      store.scheduleJob({ guildId, type: JOB.WEBHOOK_DELIVER, recordId: String(delivery.id), dueAt: Date.now() });
+    }
+    store.pruneWebhookDeliveries(Date.now() - WEBHOOK_DELIVERY_RETENTION_MS);
+    setImmediate(sweepJobs);
+  } catch (e) {
+    console.error(`Webhook emit ${event} failed:`, e);
+  }
+}
+
+/** One POST attempt; returns { ok, status, error } and never throws. */
+async function postWebhook(webhook, delivery) {
+  try {
+    const res = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "user-agent": "exodus-overseer-webhooks",
+        "x-overseer-event": delivery.event,
+        "x-overseer-delivery": String(delivery.id),
+        "x-overseer-signature": signWebhookPayload(webhook.secret, delivery.payload),
+      },
+      body: delivery.payload,
+      redirect: "manual",
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    const ok = res.status >= 200 && res.status < 300;
+    return { ok, status: res.status, error: ok ? null : `HTTP ${res.status}` };
+  } catch (e) {
+    return { ok: false, status: null, error: e?.message || String(e) };
+  }
+}
+
+function fmtWebhookLine(h) {
+  return `• \`${h.id}\` ${escapeMd(h.url)} — ${h.events.length ? h.events.join(", ") : "all events"}`;
+}
+
+function fmtDeliveryLine(d) {
+  const icon = d.status === "delivered" ? "✅" : d.status === "failed" ? "❌" : "⏳";
+  const detail = d.status === "delivered" ? `HTTP ${d.lastStatus}` : d.lastError ? escapeMd(d.lastError.slice(0, 80)) : "queued";
+  return `${icon} #${d.id} \`${d.event}\` → \`${d.webhookId}\` — ${d.attempts} attempt(s), ${detail} — ${fmtDiscordRelativeTime(d.createdAt)}`;
+}
+
+// -------------------- RCON --------------------
+// Lifecycle events can be mirrored in game: the record's server picks the RCON server and the event
+// picks the command template. Sends run as RCON_SEND jobs, so an offline game server is retried with backoff.
+const RCON_PLACEHOLDERS = ["{tribe}", "{server}", "{targets}", "{reward}", "{ends}", "{reason}"];
+
+function rconConfig(guildId) {
+  const conf = getGuildConfig(guildId).rcon || {};
+  // Connections set up before servers had ids are keyed by display name.
+  const servers = {};
+  for (const [key, conn] of Object.entries(conf.servers || {})) servers[findServer(guildId, key)?.id || key] = conn;
+  return {
+    servers,
+    messages: { ...DEFAULT_GUILD_CONFIG.rcon.messages, ...(conf.messages || {}) },
+  };
+}
+
+// Game chat can't render Discord timestamps, so times are plain UTC.
+function fmtGameTime(ms) {
+  return typeof ms === "number" ? `${new Date(ms).toISOString().slice(0, 16).replace("T", " ")} UTC` : "N/A";
+}
+
+function renderRconTemplate(template, event, record) {
+  const bounty = event.startsWith("bounty.");
+  const values = {
+    tribe: record.tribeName,
+    server: serverName(record.guildId, record),
+    targets: (record.bounty && bountyTargets(record).map((t) => t.ign).join(", ")) || "N/A",
+    reward: record.bounty ? fmtReward(bountyReward(record)) : "N/A",
+    ends: fmtGameTime(bounty ? record.bounty?.endsAt : whiteFlagEndsAt(record)),
+    reason: record.bounty?.reason || "N/A",
+  };
+  // Newlines would end the RCON command early.
+  return template.replace(/\{(\w+)\}/g, (m, key) => (key in values ? String(values[key]) : m)).replace(/\s*\n\s*/g, " ");
+}
+
+function queueRconEvent(guildId, event, record) {
+  if (!record) return;
+  const conf = rconConfig(guildId);
+  if (!conf.messages[event] || !conf.servers[recordServerId(guildId, record)]) return;
+  store.scheduleJob({ guildId, type: JOB.RCON_SEND, recordId: `${event}|${record.id}`, dueAt: Date.now() });
+}
+
+/** Webhooks, in-game RCON and the status board for one lifecycle event; none may break the Discord flow. */
+function emitLifecycleEvent(guildId, event, subjects = {}) {
+  emitWebhookEvent(guildId, event, subjects);
+  refreshStatusBoardSoon(guildId);
+  try {
+    queueRconEvent(guildId, event, subjects.record);
+  } catch (e) {
+    console.error(`RCON queue ${event} failed:`, e);
+  }
+}
+
+// -------------------- Status board --------------------
+// One public message (announce channel) listing protected tribes and open bounties with Claim buttons.
+// Refreshed shortly after any state change (coalesced per guild) and on a timer; reposted if deleted.
+const STATUS_BOARD_INTERVAL_MS = 5 * 60 * 1000;
+const STATUS_BOARD_DEBOUNCE_MS = 3 * 1000;
+const STATUS_BOARD_MAX_BUTTONS = 25; // 5 rows x 5
+const DISCORD_UNKNOWN_MESSAGE = 10008;
+const statusBoardTimers = new Map();
+const statusBoardRuns = new Map();
+
+// Lines joined up to `max` characters, with a count of what didn't fit.
+function clipLines(lines, max, empty = "None") {
+  if (!lines.length) return empty;
+  let out = "";
+  for (let i = 0; i < lines.length; i++) {
+    const more = `\n…and ${lines.length - i} more`;
+    if (out.length + lines[i].length + 1 + more.length > max) return out + more;
+    out += (out ? "\n" : "") + lines[i];
+  }
+  return out;
+}
+
+function buildStatusBoard(guildId, now = Date.now()) {
+  const records = store.listRequests({ guildId });
+  const flags = records.filter((r) => isApprovedAndActive(r, now)).sort((a, b) => whiteFlagEndsAt(a) - whiteFlagEndsAt(b));
+  const bounties = records.filter((r) => hasActiveBounty(r, now)).sort((a, b) => a.bounty.endsAt - b.bounty.endsAt);
+
+  const flagEmbed = new EmbedBuilder()
+    .setTitle(`🏳️ Protected tribes (${flags.length})`)
+    .setDescription(
+      clipLines(
+        flags.map((r) => `• **${escapeMd(r.tribeName)}** — ${escapeMd(serverName(guildId, r))} — ends ${fmtDiscordRelativeTime(whiteFlagEndsAt(r))}`),
+        4096,
+        "No tribes are under White Flag protection."
+      )
+    );
+  const bountyEmbed = new EmbedBuilder()
+    .setTitle(`🎯 Open bounties (${bounties.length})`)
+    .setDescription(
+      clipLines(
+        bounties.map((r) => {
+          const targets = bountyTargets(r);
+          const open = openBountyTargets(r).length;
+          const state = open ? (targets.length > 1 ? `${open}/${targets.length} targets open` : "open") : "🔒 under review";
+          return `• **${escapeMd(r.tribeName)}** — **${fmtReward(bountyReward(r))}** — ${state} — ends ${fmtDiscordRelativeTime(r.bounty.endsAt)}`;
+        }),
+        4096,
+        "No open bounties."
+      )
+    )
+    .setFooter({ text: "Claim with the buttons below or /bounty claim · Updated" })
+    .setTimestamp(now);
+
+  const claimable = bounties.filter((r) => openBountyTargets(r).length).slice(0, STATUS_BOARD_MAX_BUTTONS);
+  const rows = [];
+  for (let i = 0; i < claimable.length; i += 5) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        claimable
+          .slice(i, i + 5)
+          .map((r) => new ButtonBuilder().setCustomId(`${CID.BOUNTY_CLAIM_OPEN_PREFIX}${r.id}`).setLabel(`Claim: ${r.tribeName}`.slice(0, 80)).setStyle(ButtonStyle.Primary))
+      )
+    );
+  }
+  return { content: "", embeds: [flagEmbed, bountyEmbed], components: rows, allowedMentions: { parse: [] } };
+}
+
+/** Edit the board in place, or post a new one if it was deleted. Only a missing message triggers a repost. */
+async function refreshStatusBoard(guildId) {
+  const cfg = getGuildConfig(guildId);
+  if (!cfg.statusBoardChannelId || !isGuildConfigured(guildId)) return;
+  const guild = await safeFetchGuild(bot, guildId);
+  if (!guild) return;
+  const ch = await safeFetchChannel(guild, cfg.statusBoardChannelId);
+  if (!ch || !isTextChannel(ch)) return;
+
+  const view = buildStatusBoard(guildId);
+  const msg = cfg.statusBoardMessageId
+    ? await ch.messages.fetch(cfg.statusBoardMessageId).catch((e) => {
+        if (e?.code === DISCORD_UNKNOWN_MESSAGE) return null;
+        throw e;
+      })
+    : null;
+  if (msg) {
+    await msg.edit(view);
+    return;
+  }
+  const posted = await ch.send(view);
+  const latest = getGuildConfig(guildId);
+  latest.statusBoardMessageId = posted.id;
+  store.saveGuildConfig(guildId, latest);
+}
+
+// Runs for one guild are chained so a repost can't race another refresh into two boards.
+function queueStatusBoardRefresh(guildId) {
+  const run = (statusBoardRuns.get(guildId) || Promise.resolve())
+    .then(() => refreshStatusBoard(guildId))
+    .catch((e) => console.error(`Status board refresh for ${guildId} failed:`, e?.message || e));
+  statusBoardRuns.set(guildId, run);
+  return run;
+}
+
+function refreshStatusBoardSoon(guildId) {
+  if (!guildId || !getGuildConfig(guildId).statusBoardChannelId || statusBoardTimers.has(guildId)) return;
+  statusBoardTimers.set(
+    guildId,
+    setTimeout(() => {
+      statusBoardTimers.delete(guildId);
+      queueStatusBoardRefresh(guildId);
+    }, STATUS_BOARD_DEBOUNCE_MS)
+  );
+}
+
+function refreshAllStatusBoards() {
+  for (const guildId of store.listGuildIds()) {
+    if (getGuildConfig(guildId).statusBoardChannelId) queueStatusBoardRefresh(guildId);
+  }
+}
+
+// -------------------- Daily digest --------------------
+const DIGEST_JOB_PREFIX = "digest:";
+const DIGEST_WINDOW_MS = 48 * ONE_HOUR_MS;
+const DIGEST_SECTION_MAX = 1024;
+
+function digestConfig(guildId) {
+  return { ...DEFAULT_GUILD_CONFIG.digest, ...(getGuildConfig(guildId).digest || {}) };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock fields of `ms` in `timeZone`.
+function zonedParts(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { year: get("year"), month: get("month"), day: get("day"), hour: get("hour"), minute: get("minute"), second: get("second") };
+}
+
+// UTC ms for a wall-clock time in timeZone (second pass settles DST edges).
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let guess = wall;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(guess, timeZone);
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - guess;
+    guess = wall - offset;
+  }
+  return guess;
+}
+
+/** Next time the digest is due strictly after `now`. */
+function nextDigestAt(conf, now = Date.now()) {
+  const [hour, minute] = conf.time.split(":").map(Number);
+  const today = zonedParts(now, conf.timeZone);
+  let due = zonedTimeToUtc({ ...today, hour, minute }, conf.timeZone);
+  if (due <= now) {
+    const tomorrow = new Date(Date.UTC(today.year, today.month - 1, today.day + 1));
+    due = zonedTimeToUtc({ year: tomorrow.getUTCFullYear(), month: tomorrow.getUTCMonth() + 1, day: tomorrow.getUTCDate(), hour, minute }, conf.timeZone);
+  }
+  return due;
+}
+
+function scheduleDigest(guildId) {
+  const conf = digestConfig(guildId);
+  const recordId = `${DIGEST_JOB_PREFIX}${guildId}`;
+  if (!conf.enabled) return store.cancelJobs(recordId, [JOB.DAILY_DIGEST]);
+  store.scheduleJob({ guildId, type: JOB.DAILY_DIGEST, recordId, dueAt: nextDigestAt(conf) });
+}
+
+function digestSection(lines) {
+  return clipLines(lines, DIGEST_SECTION_MAX);
+}
+
+function withLink(line, link) {
+  return link ? `${line} — [open](${link})` : line;
+}
+
+function buildDigestEmbed(guildId, now = Date.now()) {
+  const records = store.listRequests({ guildId });
+  const pendingApps = records.filter((r) => r.status === "pending").sort((a, b) => a.requestedAt - b.requestedAt);
+  const endingFlags = records
+    .filter((r) => isApprovedAndActive(r, now) && whiteFlagEndsAt(r) - now <= DIGEST_WINDOW_MS)
+    .sort((a, b) => whiteFlagEndsAt(a) - whiteFlagEndsAt(b));
+  const bounties = records.filter((r) => hasActiveBounty(r, now)).sort((a, b) => a.bounty.endsAt - b.bounty.endsAt);
+  const claims = store.listClaims({ guildId, status: "pending" }).sort((a, b) => a.submittedAt - b.submittedAt);
+
+  const lockState = (r) => {
+    const targets = bountyTargets(r);
+    const locked = targets.filter((t) => t.locked && !t.claimedAt).length;
+    const claimed = targets.filter((t) => t.claimedAt).length;
+    if (targets.length === 1) return locked ? "🔒 claim under review" : "🔓 open";
+    return `${targets.length - locked - claimed} open, ${locked} under review, ${claimed} claimed`;
+  };
+
+  return new EmbedBuilder()
+    .setTitle("🗞️ Daily admin digest")
+    .addFields(
+      {
+        name: `Applications pending review (${pendingApps.length})`,
+        value: digestSection(
+          pendingApps.map((r) =>
+            withLink(`• **${escapeMd(r.tribeName)}** — ${escapeMd(serverName(guildId, r))} — waiting ${fmtDuration(now - r.requestedAt)}`, messageLink(guildId, r.adminChannelId, r.adminMessageId))
+          )
+        ),
+        inline: false,
+      },
+      {
+        name: `White Flags ending within 48h (${endingFlags.length})`,
+        value: digestSection(
+          endingFlags.map((r) => withLink(`• **${escapeMd(r.tribeName)}** — ends ${fmtDiscordRelativeTime(whiteFlagEndsAt(r))}`, messageLink(guildId, r.adminChannelId, r.adminMessageId)))
+        ),
+        inline: false,
+      },
+      {
+        name: `Active bounties (${bounties.length})`,
+        value: digestSection(
+          bounties.map((r) =>
+            withLink(
+              `• **${escapeMd(r.tribeName)}** — ${fmtReward(bountyReward(r))} — ${lockState(r)} — ends ${fmtDiscordRelativeTime(r.bounty.endsAt)}`,
+              messageLink(guildId, r.bounty.announceChannelId, r.bounty.announceMessageId)
+            )
+          )
+        ),
+        inline: false,
+      },
+      {
+        name: `Claims waiting for a decision (${claims.length})`,
+        value: digestSection(
+          claims.map((c) => withLink(`• **${escapeMd(c.tribeName)}** by <@${c.submittedBy}> — waiting ${fmtDuration(now - c.submittedAt)}`, claimMessageLink(c)))
+        ),
+        inline: false,
+      }
+    )
+    .setTimestamp(now);
+}
+
+// -------------------- Jobs --------------------
+// Expiries and warnings are persisted in the jobs table and run by a periodic sweeper,
+// so they survive restarts, fire after downtime and aren't bound by setTimeout's ~24.8-day cap.
+const JOB = {
+  WF_EXPIRE: "wf_expire",
+  WF_WARN: "wf_warn",
+  BOUNTY_EXPIRE: "bounty_expire",
+  BOUNTY_WARN: "bounty_warn",
+  CLAIM_REMIND: "claim_remind", // recordId is the claim id
+  CLAIM_TIMEOUT: "claim_timeout", // recordId is the claim id
+  WEBHOOK_DELIVER: "webhook_deliver", // recordId is the webhook delivery id
+  RCON_SEND: "rcon_send", // recordId is "<event>|<record id>"
+  DAILY_DIGEST: "daily_digest", // recordId is "digest:<guild id>"
+};
+const JOB_SWEEP_INTERVAL_MS = 30 * 1000;
+const JOB_MAX_ATTEMPTS = 8;
+
+function jobRetryDelayMs(attempts) {
+  // 1m, 2m, 4m ... capped at 1h
+  return Math.min(60 * 60 * 1000, 60 * 1000 * 2 ** Math.max(0, attempts));
+}
+
+function scheduleExpiry(guildId, requestId) {
+  const req = store.getRequest(guildId, requestId);
+  if (!req || req.status !== "approved" || !req.approvedAt) return;
+  store.scheduleJob({ guildId, type: JOB.WF_EXPIRE, recordId: requestId, dueAt: whiteFlagEndsAt(req) });
+}
+
+function scheduleWhiteFlagExpiryWarning(guildId, requestId) {
+  const req = store.getRequest(guildId, requestId);
+  if (!req || req.status !== "approved" || !req.approvedAt) return;
+  if (req.wfWarnedAt) return;
+  store.scheduleJob({ guildId, type: JOB.WF_WARN, recordId: requestId, dueAt: whiteFlagEndsAt(req) - ONE_DAY_MS });
+}
+
+function scheduleBountyExpiryWarning(guildId, requestId) {
+  const req = store.getRequest(guildId, requestId);
+  if (!hasActiveBounty(req)) return;
+  if (req.bountyWarnedAt) return;
+  store.scheduleJob({ guildId, type: JOB.BOUNTY_WARN, recordId: requestId, dueAt: req.bounty.endsAt - ONE_DAY_MS });
+}
+
+function scheduleBountyExpiry(guildId, requestId) {
+  const req = store.getRequest(guildId, requestId);
+  if (!hasActiveBounty(req)) return;
+  store.scheduleJob({ guildId, type: JOB.BOUNTY_EXPIRE, recordId: requestId, dueAt: req.bounty.endsAt });
+}
+
+function cancelBountyJobs(requestId) {
+  store.cancelJobs(requestId, [JOB.BOUNTY_EXPIRE, JOB.BOUNTY_WARN]);
+}
+
+function claimReviewConfig(guildId) {
+  return { ...DEFAULT_GUILD_CONFIG.claimReview, ...(getGuildConfig(guildId).claimReview || {}) };
+}
+
+// Reminder n (0-based) is due reminderHours[n] after submission.
+function scheduleClaimJobs(claim) {
+  const conf = claimReviewConfig(claim.guildId);
+  const sent = claim.remindersSent || 0;
+  if (sent < conf.reminderHours.length) {
+    store.ensureJob({ guildId: claim.guildId, type: JOB.CLAIM_REMIND, recordId: claim.id, dueAt: claim.submittedAt + conf.reminderHours[sent] * ONE_HOUR_MS });
+  }
+  if (conf.lockTimeoutHours > 0) {
+    store.ensureJob({ guildId: claim.guildId, type: JOB.CLAIM_TIMEOUT, recordId: claim.id, dueAt: claim.submittedAt + conf.lockTimeoutHours * ONE_HOUR_MS });
+  }
+}
+
+function cancelClaimJobs(claimId) {
+  store.cancelJobs(claimId, [JOB.CLAIM_REMIND, JOB.CLAIM_TIMEOUT]);
+}
+
+function messageLink(guildId, channelId, messageId) {
+  return channelId && messageId ? `https://discord.com/channels/${guildId}/${channelId}/${messageId}` : null;
+}
+
+function claimMessageLink(claim) {
+  return messageLink(claim.guildId, claim.adminChannelId, claim.adminMessageId);
+}
+
+/**
+ * Admin log channel for background jobs.
+ * Returns null when the guild isn't set up (nothing to retry); throws when Discord is unreachable.
+ */
+async function fetchJobAdminChannel(guildId) {
+  if (!isGuildConfigured(guildId)) return null;
+  const guild = await safeFetchGuild(bot, guildId);
+  if (!guild) throw new Error(`guild ${guildId} unavailable`);
+  const cfg = getGuildConfig(guildId);
+  const ch = await safeFetchChannel(guild, cfg.bountyClaimsChannelId || cfg.adminChannelId);
+  return ch && isTextChannel(ch) ? ch : null;
+}
+
+// Each handler is safe to re-run: state changes are applied once, the Discord post
+// is retried until it succeeds (a throw means "retry later"). Returning { rescheduleAt }
+// keeps the job and runs it again at that time.
+const JOB_HANDLERS = {
+  async [JOB.WF_EXPIRE](job) {
+    const r = store.getRequest(job.guildId, job.recordId);
+    if (!r) return;
+    if (r.status === "approved") {
+      // An extension may have moved the end after this job was queued.
+      const endsAt = whiteFlagEndsAt(r);
+      if (typeof endsAt === "number" && endsAt > Date.now()) return { rescheduleAt: endsAt };
+      const before = cloneRecord(r);
+      r.status = "expired";
+      r.expiredAt = Date.now();
+      store.saveRequest(r);
+      recordAudit(job.guildId, null, AUDIT.WF_EXPIRE, { record: r, before });
+      emitLifecycleEvent(job.guildId, LIFECYCLE_EVENTS.WF_EXPIRED, { record: r });
+
+      // DM requester
+      await safeDmUser(bot, r.requestedBy, `⏳ Your White Flag protection for **${escapeMd(r.tribeName)}** has **EXPIRED**.`);
+    }
+    if (r.status !== "expired" || r.expiryNotifiedAt) return;
+
+    const adminCh = await fetchJobAdminChannel(job.guildId);
+    if (adminCh) {
+      await adminCh.send(`⏳ PROTECTION EXPIRED — White Flag ended for **${escapeMd(r.tribeName)}**.`);
+    }
+    r.expiryNotifiedAt = Date.now();
+    store.saveRequest(r);
+  },
+
+  async [JOB.WF_WARN](job) {
+    const r = store.getRequest(job.guildId, job.recordId);
+    // Runs even if the end time already passed during downtime, as long as the flag hasn't been expired yet.
+    if (!r || r.status !== "approved" || !r.approvedAt) return;
+    if (r.wfWarnedAt) return;
+
+    const endsAt = whiteFlagEndsAt(r);
+    const adminCh = await fetchJobAdminChannel(job.guildId);
+    if (adminCh) {
+      const cfg = getGuildConfig(job.guildId);
+      const ping = cfg.adminRoleId ? `<@&${cfg.adminRoleId}> ` : "";
+      const hoursLeft = Math.round((endsAt - Date.now()) / (60 * 60 * 1000));
+      const when = hoursLeft > 0 ? `expires in **${hoursLeft} hours**` : "has reached its end time (warning delayed)";
+      await adminCh.send(`${ping}⚠️ White Flag for **${escapeMd(r.tribeName)}** ${when}. Ends ${fmtDiscordRelativeTime(endsAt)} (ID: \`${r.id}\`).`);
+    }
+    r.wfWarnedAt = Date.now();
+    store.saveRequest(r);
+  },
+
+  async [JOB.BOUNTY_WARN](job) {
+    const r = store.getRequest(job.guildId, job.recordId);
+    if (!r?.bounty?.active || typeof r.bounty.endsAt !== "number") return;
+    if (r.bountyWarnedAt) return;
+
+    const adminCh = await fetchJobAdminChannel(job.guildId);
+    if (adminCh) {
+      const cfg = getGuildConfig(job.guildId);
+      const ping = cfg.adminRoleId ? `<@&${cfg.adminRoleId}> ` : "";
+      const when = r.bounty.endsAt > Date.now() ? "expires in **24 hours**" : "has reached its end time (warning delayed)";
+      await adminCh.send(`${ping}⚠️ Bounty on **${escapeMd(r.tribeName)}** ${when}. Ends ${fmtDiscordRelativeTime(r.bounty.endsAt)} (ID: \`${r.id}\`).`);
+    }
+    r.bountyWarnedAt = Date.now();
+    store.saveRequest(r);
+  },
+
+  async [JOB.BOUNTY_EXPIRE](job) {
+    const r = store.getRequest(job.guildId, job.recordId);
+    if (!r || !r.bounty) return;
+    const now = Date.now();
+    if (r.bounty.active === true) {
+      if (typeof r.bounty.endsAt !== "number" || r.bounty.endsAt > now) return;
+
+      // Don't strand a hunter whose claim is still waiting for review: push the end out instead.
+      const pending = bountyTargets(r).filter((t) => t.locked && !t.claimedAt);
+      const extendMs = claimReviewConfig(job.guildId).bountyExtensionHours * ONE_HOUR_MS;
+      if (pending.length && extendMs > 0) {
+        const before = cloneRecord(r);
+        r.bounty.endsAt = now + extendMs;
+        r.bounty.extendedForClaimsAt = now;
+        store.saveRequest(r);
+        recordAudit(job.guildId, null, AUDIT.BOUNTY_EXTEND, { record: r, before });
+        refreshStatusBoardSoon(job.guildId);
+        const adminCh = await fetchJobAdminChannel(job.guildId).catch(() => null);
+        if (adminCh) {
+          await adminCh
+            .send(`⏳ Bounty on **${escapeMd(r.tribeName)}** reached its end with ${pending.length} claim(s) under review — extended to ${fmtDiscordRelativeTime(r.bounty.endsAt)} (ID: \`${r.id}\`).`)
+            .catch(() => null);
+        }
+        return { rescheduleAt: r.bounty.endsAt };
+      }
+
+      const before = cloneRecord(r);
+      r.bounty.active = false;
+      r.bounty.expiredAt = now;
+      store.saveRequest(r);
+      recordAudit(job.guildId, null, AUDIT.BOUNTY_EXPIRE, { record: r, before });
+      emitLifecycleEvent(job.guildId, LIFECYCLE_EVENTS.BOUNTY_EXPIRED, { record: r });
+    }
+    if (!r.bounty.expiredAt || r.bounty.closedNoticeAt) return;
+
+    // Disable claim button if we stored message ids
+    const chId = r.bounty.announceChannelId;
+    const msgId = r.bounty.announceMessageId;
+    if (chId && msgId && isGuildConfigured(job.guildId)) {
+      const guild = await safeFetchGuild(bot, job.guildId);
+      if (!guild) throw new Error(`guild ${job.guildId} unavailable`);
+      const bountyCh = await guild.channels.fetch(chId).catch(() => null);
+      if (bountyCh && isTextChannel(bountyCh)) {
+        const msg = await bountyCh.messages.fetch(msgId).catch(() => null);
+        if (msg) await msg.edit({ content: msg.content + "\n🏁 **CLOSED**", components: [] });
+      }
+    }
+    r.bounty.closedNoticeAt = Date.now();
+    store.saveRequest(r);
+  },
+
+  async [JOB.CLAIM_REMIND](job) {
+    const claim = store.getClaim(job.guildId, job.recordId);
+    if (!claim || claim.status !== "pending") return;
+    const hours = claimReviewConfig(job.guildId).reminderHours;
+    const n = claim.remindersSent || 0;
+    if (n >= hours.length) return;
+
+    const adminCh = await fetchJobAdminChannel(job.guildId);
+    if (adminCh) {
+      const cfg = getGuildConfig(job.guildId);
+      const ping = cfg.adminRoleId ? `<@&${cfg.adminRoleId}> ` : "";
+      // Gets louder with every reminder.
+      const level = n === 0 ? "⏰ Reminder" : n < hours.length - 1 ? "⚠️ Still waiting" : "🚨 FINAL REMINDER";
+      const link = claimMessageLink(claim);
+      await adminCh.send(
+        `${ping}${level}: bounty claim on **${escapeMd(claim.tribeName)}** by <@${claim.submittedBy}> has been pending since ` +
+          `${fmtDiscordRelativeTime(claim.submittedAt)} (Claim ID: \`${claim.id}\`)${link ? ` — ${link}` : ""}.`
+      );
+    }
+    claim.remindersSent = n + 1;
+    store.saveClaim(claim);
+    if (n + 1 < hours.length) return { rescheduleAt: claim.submittedAt + hours[n + 1] * ONE_HOUR_MS };
+  },
+
+  async [JOB.CLAIM_TIMEOUT](job) {
+    const claim = store.getClaim(job.guildId, job.recordId);
+    if (!claim || claim.status !== "pending") return;
+    const conf = claimReviewConfig(job.guildId);
+    const cfg = getGuildConfig(job.guildId);
+
+    if (conf.lockTimeoutAction === "escalate") {
+      if (claim.escalatedAt || !isGuildConfigured(job.guildId)) return;
+      const guild = await safeFetchGuild(bot, job.guildId);
+      if (!guild) throw new Error(`guild ${job.guildId} unavailable`);
+      // The main admin channel, not the claims log the reminders went to.
+      const ch = await safeFetchChannel(guild, cfg.adminChannelId);
+      if (ch && isTextChannel(ch)) {
+        const ping = cfg.adminRoleId ? `<@&${cfg.adminRoleId}> ` : "";
+        const link = claimMessageLink(claim);
+        await ch.send(
+          `${ping}🚨 **ESCALATION**: claim \`${claim.id}\` on **${escapeMd(claim.tribeName)}** has been locked for ${conf.lockTimeoutHours}h without a decision.` +
+            (link ? ` ${link}` : "")
+        );
+      }
+      claim.escalatedAt = Date.now();
+      store.saveClaim(claim);
+      return;
+    }
+
+    // release: the claim times out and the target opens up for other hunters
+    const before = cloneRecord(claim);
+    claim.status = "timed_out";
+    claim.timedOutAt = Date.now();
+    store.saveClaim(claim);
+    recordAudit(job.guildId, null, AUDIT.CLAIM_TIMEOUT, { claim, before });
+    store.cancelJobs(claim.id, [JOB.CLAIM_REMIND]);
+
+    const record = store.getRequest(job.guildId, claim.bountyRecordId);
+    const guild = await safeFetchGuild(bot, job.guildId);
+    if (record?.bounty) {
+      const t = claimTargetOf(record, claim);
+      if (t && !t.claimedAt && t.lockedByClaimId === claim.id) {
+        t.locked = false;
+        t.lockedByClaimId = null;
+      }
+      syncBountyLock(record);
+      store.saveRequest(record);
+      refreshStatusBoardSoon(job.guildId);
+      if (guild && bountyTargets(record).length > 1) await refreshBountyAnnouncement(guild, record);
+    }
+
+    if (guild && claim.adminChannelId && claim.adminMessageId) {
+      const ch = await safeFetchChannel(guild, claim.adminChannelId);
+      const msg = ch && isTextChannel(ch) ? await ch.messages.fetch(claim.adminMessageId).catch(() => null) : null;
+      if (msg) await msg.edit({ content: `⌛ **Lock timed out** after ${conf.lockTimeoutHours}h — claim released.`, components: [] }).catch(() => null);
+    }
+    await safeDmUser(bot, claim.submittedBy, `⌛ Your bounty claim on **${escapeMd(claim.tribeName)}** wasn't reviewed in time and was released. You can submit it again if the bounty is still open.`);
+  },
+
+  async [JOB.WEBHOOK_DELIVER](job) {
+    const delivery = store.getWebhookDelivery(Number(job.recordId));
+    if (!delivery || delivery.status !== "pending") return;
+    const webhook = store.getWebhook(job.guildId, delivery.webhookId);
+    if (!webhook) {
+      store.recordWebhookAttempt(delivery.id, { status: "failed", lastError: "webhook removed" });
+      return;
+    }
+    const result = await postWebhook(webhook, delivery);
+    if (result.ok) {
+      store.recordWebhookAttempt(delivery.id, { status: "delivered", lastStatus: result.status });
+      return;
+    }
+    // Let the sweeper's backoff retry it; mark the delivery failed on the attempt the sweeper gives up on.
+    const giveUp = job.attempts + 1 >= JOB_MAX_ATTEMPTS;
+    store.recordWebhookAttempt(delivery.id, { status: giveUp ? "failed" : "pending", lastStatus: result.status, lastError: result.error });
+    throw new Error(`webhook ${webhook.id}: ${result.error}`);
+  },
+
+  async [JOB.RCON_SEND](job) {
+    const [event, recordId] = job.recordId.split("|");
+    const record = store.getRequest(job.guildId, recordId);
+    if (!record) return;
+    const conf = rconConfig(job.guildId);
+    const server = conf.servers[recordServerId(job.guildId, record)];
+    const template = conf.messages[event];
+    if (!server || !template) return;
+    const command = renderRconTemplate(template, event, record);
+    await sendRconCommand(server, command);
+    console.log(`RCON ${serverName(job.guildId, record)} ← ${command}`);
+  },
+
+  async [JOB.DAILY_DIGEST](job) {
+    const conf = digestConfig(job.guildId);
+    if (!conf.enabled || !isGuildConfigured(job.guildId)) return;
+    const guild = await safeFetchGuild(bot, job.guildId);
+    // Skip today rather than retry: a digest job that gave up would never run again.
+    if (!guild) return { rescheduleAt: nextDigestAt(conf, Date.now() + 60 * 1000) };
+    const ch = await safeFetchChannel(guild, getGuildConfig(job.guildId).adminChannelId);
+    if (ch && isTextChannel(ch)) await ch.send({ embeds: [buildDigestEmbed(job.guildId)], allowedMentions: { parse: [] } });
+    // A minute past now so a late run doesn't pick today's slot again.
+    return { rescheduleAt: nextDigestAt(conf, Date.now() + 60 * 1000) };
+  },
+};
+
+let jobSweepRunning = false;
+
+async function sweepJobs() {
+  if (jobSweepRunning) return;
+  jobSweepRunning = true;
+  try {
+    for (const job of store.listDueJobs(Date.now())) {
+      const handler = JOB_HANDLERS[job.type];
+      try {
+        if (!handler) throw new Error(`unknown job type ${job.type}`);
+        const next = await handler(job);
+        if (next?.rescheduleAt) store.rescheduleJob(job.id, next.rescheduleAt);
+        else store.completeJob(job.id);
+      } catch (e) {
+        const attempts = job.attempts + 1;
+        if (!handler || attempts >= JOB_MAX_ATTEMPTS) {
+          console.error(`Job ${job.type} for ${job.recordId} failed permanently after ${attempts} attempts:`, e);
+          store.failJob(job.id, e?.message || e);
+        } else {
+          console.warn(`Job ${job.type} for ${job.recordId} failed (attempt ${attempts}), retrying:`, e?.message || e);
+          store.retryJob(job.id, { error: e?.message || e, dueAt: Date.now() + jobRetryDelayMs(job.attempts) });
+        }
+      }
+    }
+  } catch (e) {
+    console.error("Job sweep failed:", e);
+  } finally {
+    jobSweepRunning = false;
+  }
+}
+
+// On startup: make sure every live record has its jobs (records from before the jobs table, or imported ones).
+// ensureJob never resets a job that already exists.
+function backfillJobs() {
+  try {
+    store.transaction(() => {
+      for (const r of store.listRequests()) {
+        if (r.status === "approved" && r.approvedAt) {
+          const endsAt = whiteFlagEndsAt(r);
+          store.ensureJob({ guildId: r.guildId, type: JOB.WF_EXPIRE, recordId: r.id, dueAt: endsAt });
+          if (!r.wfWarnedAt) store.ensureJob({ guildId: r.guildId, type: JOB.WF_WARN, recordId: r.id, dueAt: endsAt - ONE_DAY_MS });
+        }
+        if (r.bounty?.active && typeof r.bounty.endsAt === "number") {
+          store.ensureJob({ guildId: r.guildId, type: JOB.BOUNTY_EXPIRE, recordId: r.id, dueAt: r.bounty.endsAt });
+          if (!r.bountyWarnedAt) store.ensureJob({ guildId: r.guildId, type: JOB.BOUNTY_WARN, recordId: r.id, dueAt: r.bounty.endsAt - ONE_DAY_MS });
+        }
+      }
+      for (const c of store.listClaims({ status: "pending" })) {
+        if (typeof c.submittedAt === "number") scheduleClaimJobs(c);
+      }
+      // A missing or failed digest job is armed again; a pending one keeps its slot.
+      for (const guildId of store.listGuildIds()) {
+        const job = store.getJob(JOB.DAILY_DIGEST, `${DIGEST_JOB_PREFIX}${guildId}`);
+        if (!job || job.failedAt) scheduleDigest(guildId);
+      }
+    });
+  } catch (e) {
+    console.error("backfillJobs failed:", e);
+  }
+}
+
+// -------------------- Panels --------------------
+// Used until staff store a first version with /rules edit (that counts as version 0).
+const DEFAULT_RULES_TEXT = [
+  "The White Flag system grants temporary protection to new tribes. Abuse triggers enforcement and will result in a bounty on your tribe.",
+  "",
+  "**Eligibility & Duration**",
+  "• White Flags are for **new tribes only**.",
+  "• Protection lasts **7 days from approval**.",
+  "• Admins will remove the white flag early if rules are broken.",
+  "",
+  "**While White Flag is Active**",
+  "• **YOU CAN NOT RAID OTHER TRIBES.**",
+  "• Build, farm, tame, establish your base.",
+  "• PvP is allowed as long as you are not raiding/scouting bases.",
+  "",
+  "**Violations**",
+  "• Raiding while under a White Flag = **immediate removal**.",
+  "• Abuse of protection = **immediate removal**.",
+  "• If you break any of the rules: Your White Flag will be removed and a bounty will be placed on your tribe.",
+].join("\n");
+
+function getCurrentRules(guildId) {
+  return store.getLatestRules(guildId) || { version: 0, text: DEFAULT_RULES_TEXT };
+}
+
+/**
+ * Whether the user may apply under the current rules version.
+ * Before the first /rules edit, the Rules Accepted role alone is enough.
+ */
+function hasAcceptedCurrentRules(guildId, userId) {
+  const rules = getCurrentRules(guildId);
+  if (rules.version === 0) return true;
+  const accepted = store.getLatestAcceptance(guildId, userId);
+  return Boolean(accepted && accepted.version >= rules.version);
+}
+
+function buildRulesEmbed(guildId) {
+  const rules = getCurrentRules(guildId);
+  const e = new EmbedBuilder().setTitle("🛡️White Flag Rules🛡️").setDescription(rules.text);
+  if (rules.version > 0) e.setFooter({ text: `Rules version ${rules.version}` });
+  return e;
+}
+
+// Re-render the posted rules panel in place (e.g. after /rules edit).
+async function refreshRulesPanel(guild) {
+  const cfg = getGuildConfig(guild.id);
+  if (!cfg.rulesChannelId || !cfg.rulesMessageId) return false;
+  const ch = await safeFetchChannel(guild, cfg.rulesChannelId);
+  if (!ch || !isTextChannel(ch)) return false;
+  const msg = await ch.messages.fetch(cfg.rulesMessageId).catch(() => null);
+  if (!msg) return false;
+  await msg.edit({ embeds: [buildRulesEmbed(guild.id)], components: [buildRulesRow()] });
+  return true;
+}
+
+function buildRulesRow() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(CID.RULES_ACCEPT).setLabel("✅ I Agree & Understand").setStyle(ButtonStyle.Success)
+  );
+}
+
+function buildApplyEmbed(guildId) {
+  const servers = guildServers(guildId).map((s) => `• **${escapeMd(s.name)}**`);
+  return new EmbedBuilder()
+    .setTitle("🛡️White Flag Applications🛡️")
+    .setDescription(["Before applying, you must read and accept the rules.", "", "Choose:", ...servers, "", "**Important:** Only **1 White Flag per tribe.**"].join("\n"));
+}
+
+// One apply button per configured server, five to a row.
+function buildApplyRows(guildId) {
+  const buttons = guildServers(guildId).map((s) =>
+    new ButtonBuilder()
+      .setCustomId(`${CID.APPLY_OPEN_PREFIX}${s.id}`)
+      .setLabel(s.label)
+      .setStyle(SERVER_BUTTON_STYLES[s.style] || ButtonStyle.Primary)
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 5) rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+  return rows;
+}
+
+// Re-render the posted apply panel after the server list changed. False when there is no panel to edit.
+async function refreshApplyPanel(guildId) {
+  const cfg = getGuildConfig(guildId);
+  if (!cfg.applyChannelId || !cfg.applyMessageId) return false;
+  const guild = await safeFetchGuild(bot, guildId);
+  const ch = guild ? await safeFetchChannel(guild, cfg.applyChannelId) : null;
+  if (!ch || !isTextChannel(ch)) return false;
+  const msg = await ch.messages.fetch(cfg.applyMessageId).catch(() => null);
+  if (!msg) return false;
+  await msg.edit({ embeds: [buildApplyEmbed(guildId)], components: buildApplyRows(guildId) });
+  return true;
+}
+
+function buildAdminReviewEmbed(req) {
+  const endsAt = req.approvedAt ? whiteFlagEndsAt(req) : null;
+  const e = new EmbedBuilder()
+    .setTitle(req.autoRejectReason ? "🚫 Application Auto-Rejected" : "🛡️Application Received🛡️")
+    .addFields(
+      { name: "Server", value: escapeMd(serverName(req.guildId, req)), inline: true },
+      { name: "IGN", value: escapeMd(req.ign || "N/A"), inline: true },
+      { name: "Tribe Name", value: escapeMd(req.tribeName || "N/A"), inline: true },
+      { name: "Map", value: escapeMd(req.map || "N/A"), inline: true },
+      { name: "Requested By", value: `<@${req.requestedBy}>`, inline: false }
+    )
+    .setFooter({ text: `Request ID: ${req.id}` });
+  if (endsAt) e.addFields({ name: "Ends", value: fmtDiscordRelativeTime(endsAt), inline: true });
+  if (req.autoRejectReason) e.addFields({ name: "Reason", value: req.autoRejectReason, inline: false });
+  return e;
+}
+
+function buildAdminReviewRow(reqId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`${CID.ADMIN_APPROVE_PREFIX}${reqId}`).setLabel("Approve").setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`${CID.ADMIN_DENY_PREFIX}${reqId}`).setLabel("Deny").setStyle(ButtonStyle.Danger)
+  );
+}
+
+function buildEndEarlyRow(reqId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`${CID.ADMIN_END_EARLY_PREFIX}${reqId}`).setLabel("End Early (Force Bounty)").setStyle(ButtonStyle.Danger)
+  );
+}
+
+// -------------------- Violation reports --------------------
+/**
+ * report = { id, guildId, recordId, tribeName, reportedBy, reportedAt, evidence, map, time, details, attachments,
+ *            status: open|info_requested|dismissed|actioned, infoRequests: [], updates: [],
+ *            adminChannelId, adminMessageId, bountyRecordId, resolvedBy, resolvedAt }
+ */
+const REPORT_OPEN_STATUSES = ["open", "info_requested"];
+
+function buildReportEmbed(report) {
+  const e = new EmbedBuilder()
+    .setTitle(`🚩 Violation Report — ${report.status.replace("_", " ").toUpperCase()}`)
+    .addFields(
+      { name: "Tribe", value: escapeMd(report.tribeName || "N/A"), inline: true },
+      { name: "Map", value: escapeMd(report.map || "N/A"), inline: true },
+      { name: "When", value: escapeMd(report.time || "N/A"), inline: true },
+      { name: "Reported By", value: `<@${report.reportedBy}>`, inline: true },
+      { name: "White Flag", value: `\`${report.recordId}\``, inline: true },
+      { name: "Evidence", value: String(report.evidence || "N/A").slice(0, 1024), inline: false }
+    )
+    .setFooter({ text: `Report ID: ${report.id}` });
+  if (report.details) e.addFields({ name: "Details", value: escapeMd(report.details).slice(0, 1024), inline: false });
+  const files = report.attachments || [];
+  if (files.length) e.addFields({ name: "Files", value: files.map((a) => `[${escapeMd(a.name)}](${a.url})`).join("\n").slice(0, 1024), inline: false });
+  const image = files.find(isImageAttachment);
+  if (image) e.setImage(image.url);
+  for (const u of (report.updates || []).slice(-3)) {
+    e.addFields({ name: `More info (${new Date(u.at).toISOString().slice(0, 16).replace("T", " ")} UTC)`, value: escapeMd(u.text).slice(0, 1024), inline: false });
+  }
+  if (report.bountyRecordId) e.addFields({ name: "Bounty", value: `\`${report.bountyRecordId}\``, inline: true });
+  if (report.resolvedBy) e.addFields({ name: "Resolved By", value: `<@${report.resolvedBy}>`, inline: true });
+  return e;
+}
+
+function buildReportRow(report) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`${CID.REPORT_DISMISS_PREFIX}${report.id}`).setLabel("Dismiss").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`${CID.REPORT_ASK_INFO_PREFIX}${report.id}`).setLabel("Ask for Info").setStyle(ButtonStyle.Primary),
+    // Same flow as the review message's End Early button; the report id rides along so it gets linked.
+    new ButtonBuilder().setCustomId(`${CID.ADMIN_END_EARLY_PREFIX}${report.recordId}:${report.id}`).setLabel("End Early (Force Bounty)").setStyle(ButtonStyle.Danger)
+  );
+}
+
+// Re-render the admin queue message; closed reports lose their buttons.
+async function refreshReportMessage(guild, report) {
+  try {
+    if (!report.adminChannelId || !report.adminMessageId) return;
+    const ch = await safeFetchChannel(guild, report.adminChannelId);
+    if (!ch || !isTextChannel(ch)) return;
+    const msg = await ch.messages.fetch(report.adminMessageId).catch(() => null);
+    if (!msg) return;
+    const open = REPORT_OPEN_STATUSES.includes(report.status);
+    await msg.edit({ embeds: [buildReportEmbed(report)], components: open ? [buildReportRow(report)] : [] }).catch(() => null);
+  } catch {
+    // ignore
+  }
+}
+
+function buildReportModal(recordId, tribeName) {
+  const modal = new ModalBuilder().setCustomId(`${CID.REPORT_SUBMIT_PREFIX}${recordId}`).setTitle(`Report — ${String(tribeName).slice(0, 35)}`);
+  const evidence = new TextInputBuilder().setCustomId("evidence").setLabel("Evidence (clip/screenshot links)").setStyle(TextInputStyle.Paragraph).setRequired(true);
+  const map = new TextInputBuilder().setCustomId("map").setLabel("Map").setStyle(TextInputStyle.Short).setRequired(true);
+  const time = new TextInputBuilder().setCustomId("time").setLabel("When did it happen?").setStyle(TextInputStyle.Short).setRequired(true);
+  const details = new TextInputBuilder().setCustomId("details").setLabel("What happened? (optional)").setStyle(TextInputStyle.Paragraph).setRequired(false);
+  modal.addComponents(
+    new ActionRowBuilder().addComponents(evidence),
+    new ActionRowBuilder().addComponents(map),
+    new ActionRowBuilder().addComponents(time),
+    new ActionRowBuilder().addComponents(details)
+  );
+  return modal;
+}
+
+// Shared by /report submit and the report modal.
+async function submitReport(interaction, target, { evidence, map, time, details, attachments = [] }) {
+  const guildId = interaction.guildId;
+  const report = {
+    id: newReportId(),
+    guildId,
+    recordId: target.id,
+    tribeName: target.tribeName,
+    reportedBy: interaction.user.id,
+    reportedAt: Date.now(),
+    evidence,
+    map,
+    time,
+    details: details || "",
+    attachments,
+    status: "open",
+    infoRequests: [],
+    updates: [],
+  };
+  store.saveReport(report);
+  recordAudit(guildId, interaction.user.id, AUDIT.REPORT_SUBMIT, { report });
+
+  const cfg = getGuildConfig(guildId);
+  const adminCh = await safeFetchChannel(interaction.guild, cfg.adminChannelId);
+  if (adminCh && isTextChannel(adminCh)) {
+    const ping = cfg.adminRoleId ? `<@&${cfg.adminRoleId}> ` : "";
+    const msg = await adminCh.send({ content: ping, embeds: [buildReportEmbed(report)], components: [buildReportRow(report)] }).catch(() => null);
+    if (msg) {
+      report.adminChannelId = adminCh.id;
+      report.adminMessageId = msg.id;
+      store.saveReport(report);
+    }
+  }
+  return interaction.reply({ content: `✅ Report submitted (ID: \`${report.id}\`). Admins will review it.`, flags: 64 });
+}
+
+// Ending a flag early resolves every open report against it and links them to the bounty.
+async function linkReportsToBounty(guild, req, actorId) {
+  const open = store.listReports({ guildId: req.guildId, recordId: req.id }).filter((r) => REPORT_OPEN_STATUSES.includes(r.status));
+  for (const report of open) {
+    const before = cloneRecord(report);
+    report.status = "actioned";
+    report.bountyRecordId = req.id;
+    report.resolvedBy = actorId;
+    report.resolvedAt = Date.now();
+    store.saveReport(report);
+    recordAudit(req.guildId, actorId, AUDIT.REPORT_ACTION, { report, before });
+    await refreshReportMessage(guild, report);
+    await safeDmUser(bot, report.reportedBy, `🚩 Your report on **${escapeMd(report.tribeName)}** was upheld: their White Flag was ended and a bounty issued.`);
+  }
+  if (open.length && req.bounty) {
+    req.bounty.reportIds = [...new Set([...(req.bounty.reportIds || []), ...open.map((r) => r.id)])];
+    store.saveRequest(req);
+  }
+  return open.length;
+}
+
+function ensureRulesAcceptedRoleId(guild) {
+  // non-privileged approach: we store role id if provided; /setup will create if missing
+  return getGuildConfig(guild.id).rulesAcceptedRoleId || null;
+}
+
+// -------------------- Autocomplete --------------------
+const AUTOCOMPLETE_LIMIT = 25;
+
+// Lower is better; null means `query` doesn't match. Both sides go through normalizeTribeName.
+function fuzzyScore(query, text) {
+  const q = normalizeTribeName(query);
+  const t = normalizeTribeName(text);
+  if (!q) return 0;
+  if (t === q) return 0;
+  if (t.startsWith(q)) return 1;
+  if (t.split(" ").some((w) => w.startsWith(q))) return 2;
+  if (t.includes(q)) return 3;
+  // Subsequence: every query character in order, penalised by the gaps between them.
+  let gaps = 0;
+  let pos = -1;
+  for (const ch of q) {
+    const next = t.indexOf(ch, pos + 1);
+    if (next < 0) return null;
+    if (pos >= 0) gaps += next - pos - 1;
+    pos = next;
+  }
+  return 4 + gaps / (t.length + 1);
+}
+
+/**
+ * Rank candidates { name, value, keys[], rank? } against the typed text.
+ * Ties keep the source order, which callers use to put soonest-ending first.
+ */
+function rankChoices(query, candidates) {
+  const seen = new Set();
+  return candidates
+    .map((c, i) => {
+      const scores = c.keys.map((k) => fuzzyScore(query, k)).filter((x) => x !== null);
+      return scores.length ? { c, i, score: Math.min(...scores) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.score - b.score || a.i - b.i)
+    .filter(({ c }) => !seen.has(c.value) && seen.add(c.value))
+    .slice(0, AUTOCOMPLETE_LIMIT)
+    .map(({ c }) => ({ name: c.name.slice(0, 100), value: String(c.value).slice(0, 100) }));
+}
+
+// Choice names are plain text, so end times can't use Discord timestamps.
+function fmtEndsIn(ms, now = Date.now()) {
+  if (typeof ms !== "number") return "";
+  return ms > now ? `ends in ${fmtDuration(ms - now)}` : `ended ${fmtDuration(now - ms)} ago`;
+}
+
+function activeBountyRecords(guildId, now = Date.now()) {
+  return store
+    .listRequests({ guildId })
+    .filter((r) => hasActiveBounty(r, now))
+    .sort((a, b) => a.bounty.endsAt - b.bounty.endsAt);
+}
+
+function activeWhiteFlagRecords(guildId, now = Date.now()) {
+  return store
+    .listRequests({ guildId })
+    .filter((r) => isApprovedAndActive(r, now))
+    .sort((a, b) => whiteFlagEndsAt(a) - whiteFlagEndsAt(b));
+}
+
+function bountyChoice(r, field) {
+  const open = openBountyTargets(r).length;
+  const label = `${r.tribeName} — ${fmtReward(bountyReward(r))} — ${fmtEndsIn(r.bounty.endsAt)}${open ? "" : " (all claimed)"}`;
+  return field === "id"
+    ? { name: `${r.id} · ${label}`, value: r.id, keys: [r.id, r.tribeName] }
+    : { name: label, value: r.tribeName, keys: [r.tribeName, ...parseIgnList(r.ign)] };
+}
+
+function whiteFlagChoice(r, field) {
+  const label = `${r.tribeName} — White Flag ${fmtEndsIn(whiteFlagEndsAt(r))}`;
+  return field === "id"
+    ? { name: `${r.id} · ${label}`, value: r.id, keys: [r.id, r.tribeName] }
+    : { name: label, value: r.tribeName, keys: [r.tribeName] };
+}
+
+// Known tribes, labelled with whatever is currently running against them.
+function tribeChoices(guildId) {
+  const now = Date.now();
+  const live = [
+    ...activeBountyRecords(guildId, now).map((r) => bountyChoice(r, "tribe")),
+    ...activeWhiteFlagRecords(guildId, now).map((r) => whiteFlagChoice(r, "tribe")),
+  ];
+  const known = store.listTribes(guildId).map((t) => ({ name: t.name, value: t.name, keys: [t.name, ...t.aliases] }));
+  return [...live, ...known];
+}
+
+// Every White Flag/bounty record, newest first.
+function recordChoices(guildId) {
+  const now = Date.now();
+  return store
+    .listRequests({ guildId })
+    .sort((a, b) => (b.bounty?.startedAt || b.requestedAt || 0) - (a.bounty?.startedAt || a.requestedAt || 0))
+    .map((r) => {
+      if (hasActiveBounty(r, now)) return bountyChoice(r, "id");
+      if (isApprovedAndActive(r, now)) return whiteFlagChoice(r, "id");
+      const state = r.bounty ? bountyState(r, now) : whiteFlagState(r, now);
+      return { name: `${r.id} · ${r.tribeName} — ${r.bounty ? "bounty " : ""}${state}`, value: r.id, keys: [r.id, r.tribeName] };
+    });
+}
+
+function serverChoices(guildId) {
+  return guildServers(guildId).map((s) => ({ name: `${s.name} (${s.id})`, value: s.id, keys: [s.name, s.id] }));
+}
+
+/** Suggestions for the focused option, keyed by "command sub option". */
+function autocompleteChoices(interaction) {
+  const guildId = interaction.guildId;
+  const focused = interaction.options.getFocused(true);
+  const sub = interaction.options.getSubcommand(false);
+  const key = `${interaction.commandName} ${sub} ${focused.name}`;
+  const userId = interaction.user.id;
+  // Every "server" option picks from the guild's configured servers.
+  if (focused.name === "server") return rankChoices(focused.value, serverChoices(guildId));
+
+  switch (key) {
+    case "bounty claim tribe":
+    case "bounty remove tribe":
+    case "bounty remove id":
+      return rankChoices(focused.value, activeBountyRecords(guildId).map((r) => bountyChoice(r, focused.name)));
+    case "bounty status tribe":
+    case "tribe info tribe":
+    case "tribe rename tribe":
+    case "tribe merge from":
+    case "tribe merge into":
+    case "admin audit tribe":
+      return rankChoices(focused.value, tribeChoices(guildId));
+    case "bounty status id":
+      return rankChoices(focused.value, recordChoices(guildId));
+    case "whiteflag extend tribe":
+    case "whiteflag extend id":
+    case "whiteflag shorten tribe":
+    case "whiteflag shorten id":
+    case "report submit tribe":
+      return rankChoices(focused.value, activeWhiteFlagRecords(guildId).map((r) => whiteFlagChoice(r, focused.name)));
+    case "bounty evidence id":
+      return rankChoices(
+        focused.value,
+        store
+          .listClaims({ guildId, status: "pending" })
+          .filter((c) => c.submittedBy === userId)
+          .map((c) => ({ name: `${c.id} · ${c.tribeName} — ${c.bountyTargetIgn || "target"}`, value: c.id, keys: [c.id, c.tribeName] }))
+      );
+    case "report addinfo id":
+      return rankChoices(
+        focused.value,
+        store
+          .listReports({ guildId })
+          .filter((x) => x.reportedBy === userId && REPORT_OPEN_STATUSES.includes(x.status))
+          .map((x) => ({ name: `${x.id} · ${x.tribeName} — ${x.status}`, value: x.id, keys: [x.id, x.tribeName] }))
+      );
+    default:
+      return [];
+  }
+}
+
+// -------------------- Dashboards --------------------
+// Paged embed lists with a jump-to-record select menu and a detail view per record.
+// Sessions only hold UI state (list, filters, page); after a restart the user re-runs the command.
+const DASHBOARD_PAGE_SIZE = 10;
+const DASHBOARD_TTL_MS = 30 * 60 * 1000;
+const dashboardSessions = new Map();
+
+function newDashboardSession(interaction, kind, filters) {
+  const now = Date.now();
+  for (const [id, sess] of dashboardSessions) {
+    if (now - sess.touchedAt > DASHBOARD_TTL_MS) dashboardSessions.delete(id);
+  }
+  const id = Math.random().toString(36).slice(2, 10);
+  const session = { id, kind, guildId: interaction.guildId, userId: interaction.user.id, filters, page: 0, touchedAt: now };
+  dashboardSessions.set(id, session);
+  return session;
+}
+
+function fmtShortDate(ms) {
+  return ms ? `<t:${Math.floor(ms / 1000)}:d>` : "N/A";
+}
+
+function whiteFlagState(r, now = Date.now()) {
+  return isApprovedAndActive(r, now) ? "active" : r.status === "approved" ? "expired" : r.status;
+}
+
+function bountyState(r, now = Date.now()) {
+  if (hasActiveBounty(r, now)) return "active";
+  if (r.bounty.claimedAt) return "claimed";
+  if (r.bounty.removedAt) return "removed";
+  return "expired";
+}
+
+/**
+ * Each kind lists items for a guild and describes them for filtering (fields),
+ * the list page (line/option) and the detail view (detail → { embeds, rows }).
+ */
+const DASHBOARDS = {
+  whiteflags: {
+    title: "🏳️ White Flags",
+    items: (guildId) => store.listRequests({ guildId }).filter((r) => r.status !== "bounty_only"),
+    fields: (r) => ({
+      serverId: recordServerId(r.guildId, r),
+      status: whiteFlagState(r),
+      at: r.approvedAt || r.requestedAt,
+      tribeName: r.tribeName,
+      admins: [r.approvedBy, r.deniedBy, r.endedEarlyBy],
+    }),
+    line: (r) => {
+      const state = whiteFlagState(r);
+      const when = state === "active" ? `ends ${fmtDiscordRelativeTime(whiteFlagEndsAt(r))}` : fmtShortDate(r.approvedAt || r.requestedAt);
+      return `• **${escapeMd(r.tribeName)}** — ${state.toUpperCase()} — ${escapeMd(serverName(r.guildId, r))} — ${when}`;
+    },
+    option: (r) => ({ label: String(r.tribeName).slice(0, 100), description: `${whiteFlagState(r)} · ${serverName(r.guildId, r)} · ${r.id}`.slice(0, 100), value: r.id }),
+    detail: (guildId, id, staff) => {
+      const r = store.getRequest(guildId, id);
+      if (!r) return null;
+      const state = whiteFlagState(r);
+      const embed = EmbedBuilder.from(buildAdminReviewEmbed(r))
+        .setTitle(`🏳️ White Flag — ${r.tribeName}`)
+        .addFields({ name: "Status", value: state.toUpperCase(), inline: true });
+      if (r.approvedBy) embed.addFields({ name: "Approved By", value: `<@${r.approvedBy}>`, inline: true });
+      if (r.deniedBy) embed.addFields({ name: "Denied By", value: `<@${r.deniedBy}>`, inline: true });
+      const reports = store.listReports({ guildId, recordId: r.id });
+      if (reports.length) embed.addFields({ name: "Reports", value: reports.map((x) => `\`${x.id}\` ${x.status}`).join("\n").slice(0, 1024), inline: false });
+
+      const rows = [];
+      if (staff && r.status === "pending") rows.push(buildAdminReviewRow(r.id));
+      if (state === "active") {
+        const row = new ActionRowBuilder().addComponents(
+          new ButtonBuilder().setCustomId(`${CID.REPORT_OPEN_PREFIX}${r.id}`).setLabel("🚩 Report").setStyle(ButtonStyle.Secondary)
+        );
+        if (staff) row.addComponents(buildEndEarlyRow(r.id).components[0]);
+        rows.push(row);
+      }
+      return { embeds: [embed], rows };
+    },
+  },
+
+  bounties: {
+    title: "🎯 Bounties",
+    items: (guildId) => store.listRequests({ guildId }).filter((r) => r.bounty),
+    fields: (r) => ({
+      serverId: recordServerId(r.guildId, r),
+      status: bountyState(r),
+      at: r.bounty.startedAt,
+      tribeName: r.tribeName,
+      admins: [r.bounty.startedBy, r.bounty.removedBy],
+    }),
+    line: (r) => {
+      const state = bountyState(r);
+      const targets = bountyTargets(r);
+      const open = targets.length > 1 ? ` — ${targets.filter((t) => !t.claimedAt).length}/${targets.length} targets open` : "";
+      const when = state === "active" ? `ends ${fmtDiscordRelativeTime(r.bounty.endsAt)}` : fmtShortDate(r.bounty.startedAt);
+      return `• **${escapeMd(r.tribeName)}** — ${state.toUpperCase()} — **${fmtReward(bountyReward(r))}**${open} — ${when}`;
+    },
+    option: (r) => ({ label: String(r.tribeName).slice(0, 100), description: `${bountyState(r)} · ${fmtReward(bountyReward(r))} · ${r.id}`.slice(0, 100), value: r.id }),
+    detail: (guildId, id, staff) => {
+      const r = store.getRequest(guildId, id);
+      if (!r?.bounty) return null;
+      const state = bountyState(r);
+      const embed = new EmbedBuilder()
+        .setTitle(`🎯 Bounty — ${r.tribeName}`)
+        .addFields(
+          { name: "Status", value: state.toUpperCase(), inline: true },
+          { name: "Reward", value: fmtReward(bountyReward(r)), inline: true },
+          { name: "Server", value: escapeMd(serverName(guildId, r)), inline: true },
+          { name: state === "active" ? "Ends" : "Started", value: state === "active" ? fmtDiscordRelativeTime(r.bounty.endsAt) : fmtShortDate(r.bounty.startedAt), inline: true },
+          { name: "Started By", value: r.bounty.startedBy ? `<@${r.bounty.startedBy}>` : "N/A", inline: true },
+          { name: "Reason", value: escapeMd(r.bounty.reason || "N/A").slice(0, 1024), inline: false },
+          { name: "Targets", value: bountyTargets(r).map(fmtBountyTargetLine).join("\n").slice(0, 1024), inline: false }
+        )
+        .setFooter({ text: `Record ID: ${r.id}` });
+      if (r.bounty.reportIds?.length) embed.addFields({ name: "Reports", value: r.bounty.reportIds.map((x) => `\`${x}\``).join(", "), inline: false });
+
+      const row = new ActionRowBuilder();
+      if (state === "active" && openBountyTargets(r).length) {
+        row.addComponents(new ButtonBuilder().setCustomId(`${CID.BOUNTY_CLAIM_OPEN_PREFIX}${r.id}`).setLabel("Claim Bounty").setStyle(ButtonStyle.Primary));
+      }
+      if (staff && state === "active") {
+        row.addComponents(new ButtonBuilder().setCustomId(`${CID.BOUNTY_REMOVE_PREFIX}${r.id}`).setLabel("Remove Bounty").setStyle(ButtonStyle.Danger));
+      }
+      return { embeds: [embed], rows: row.components.length ? [row] : [] };
+    },
+  },
+
+  claims: {
+    title: "📝 Bounty Claims",
+    items: (guildId) => store.listClaims({ guildId }),
+    fields: (c, records) => ({
+      serverId: recordServerId(c.guildId, records.get(c.bountyRecordId)),
+      status: c.status,
+      at: c.submittedAt,
+      tribeName: c.tribeName,
+      admins: [c.approvedBy, c.deniedBy],
+    }),
+    line: (c) => `• **${escapeMd(c.tribeName)}** — ${c.status.toUpperCase()} — <@${c.submittedBy}> — ${fmtReward(c.reward ?? 0)} — ${fmtShortDate(c.submittedAt)}`,
+    option: (c) => ({ label: `${c.tribeName} — ${c.claimantIgn || "?"}`.slice(0, 100), description: `${c.status} · ${c.id}`.slice(0, 100), value: c.id }),
+    detail: (guildId, id, staff) => {
+      const c = store.getClaim(guildId, id);
+      if (!c) return null;
+      const embeds = buildClaimSubmittedEmbeds(c);
+      embeds[0].setTitle(`📝 Bounty Claim — ${c.status.toUpperCase()}`);
+      if (c.approvedBy) embeds[0].addFields({ name: "Approved By", value: `<@${c.approvedBy}>`, inline: true });
+      if (c.deniedBy) embeds[0].addFields({ name: "Denied By", value: `<@${c.deniedBy}>`, inline: true });
+
+      const rows = [];
+      if (staff && c.status === "pending") rows.push(buildClaimReviewRow(c.id));
+      const payout = store.getPayoutByClaim(c.id);
+      if (payout) {
+        embeds[0].addFields({ name: "Payout", value: payoutStatusLine(payout), inline: false });
+        if (staff && payout.status === "owed") rows.push(buildPayoutRow(payout));
+      }
+      return { embeds, rows };
+    },
+  },
+};
+
+function dashboardItems(session) {
+  const kind = DASHBOARDS[session.kind];
+  const f = session.filters;
+  const records = new Map(store.listRequests({ guildId: session.guildId }).map((r) => [r.id, r]));
+  const tribeNeedle = normalizeTribeName(f.tribe);
+  return kind
+    .items(session.guildId)
+    .map((item) => ({ item, fields: kind.fields(item, records) }))
+    .filter(({ fields }) => {
+      if (f.serverId && fields.serverId !== f.serverId) return false;
+      if (f.status && f.status !== "all" && fields.status !== f.status) return false;
+      if (typeof f.since === "number" && !(fields.at >= f.since)) return false;
+      if (typeof f.until === "number" && !(fields.at <= f.until)) return false;
+      if (tribeNeedle && !normalizeTribeName(fields.tribeName).includes(tribeNeedle)) return false;
+      if (f.adminId && !fields.admins.includes(f.adminId)) return false;
+      return true;
+    })
+    .sort((a, b) => (b.fields.at || 0) - (a.fields.at || 0))
+    .map(({ item }) => item);
+}
+
+function describeDashboardFilters(guildId, f) {
+  const parts = [];
+  if (f.status && f.status !== "all") parts.push(f.status);
+  if (f.serverId) parts.push(serverName(guildId, { serverId: f.serverId }));
+  if (f.tribe) parts.push(`tribe ~ "${f.tribe}"`);
+  if (typeof f.since === "number") parts.push(`from ${new Date(f.since).toISOString().slice(0, 10)}`);
+  if (typeof f.until === "number") parts.push(`until ${new Date(f.until).toISOString().slice(0, 10)}`);
+  if (f.adminId) parts.push("by admin");
+  return parts.join(" · ");
+}
+
+function dashboardNavRow(session, { pages = 1, detail = false } = {}) {
+  const base = `${CID.DASHBOARD_PREFIX}${session.id}`;
+  if (detail) {
+    return new ActionRowBuilder().addComponents(new ButtonBuilder().setCustomId(`${base}:back`).setLabel("◀ Back to list").setStyle(ButtonStyle.Secondary));
+  }
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`${base}:prev`).setLabel("◀ Prev").setStyle(ButtonStyle.Secondary).setDisabled(session.page <= 0),
+    new ButtonBuilder().setCustomId(`${base}:next`).setLabel("Next ▶").setStyle(ButtonStyle.Secondary).setDisabled(session.page >= pages - 1)
+  );
+}
+
+function renderDashboardList(session) {
+  const kind = DASHBOARDS[session.kind];
+  const items = dashboardItems(session);
+  const pages = Math.max(1, Math.ceil(items.length / DASHBOARD_PAGE_SIZE));
+  session.page = Math.min(Math.max(0, session.page), pages - 1);
+  const slice = items.slice(session.page * DASHBOARD_PAGE_SIZE, (session.page + 1) * DASHBOARD_PAGE_SIZE);
+
+  const filters = describeDashboardFilters(session.guildId, session.filters);
+  const embed = new EmbedBuilder()
+    .setTitle(kind.title)
+    .setDescription(slice.length ? slice.map(kind.line).join("\n").slice(0, 4096) : "No results.")
+    .setFooter({ text: `Page ${session.page + 1}/${pages} · ${items.length} result(s)${filters ? ` · ${filters}` : ""}`.slice(0, 2048) });
+
+  const rows = [];
+  if (slice.length) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(`${CID.DASHBOARD_PREFIX}${session.id}:open`)
+          .setPlaceholder("Open a record…")
+          .addOptions(slice.map(kind.option))
+      )
+    );
+  }
+  rows.push(dashboardNavRow(session, { pages }));
+  return { embeds: [embed], components: rows, allowedMentions: { parse: [] } };
+}
+
+function renderDashboardDetail(session, id, member) {
+  const view = DASHBOARDS[session.kind].detail(session.guildId, id, hasBotStaffRole(member));
+  if (!view) return { content: "That record no longer exists.", embeds: [], components: [dashboardNavRow(session, { detail: true })] };
+  return { content: "", embeds: view.embeds, components: [...view.rows.slice(0, 4), dashboardNavRow(session, { detail: true })], allowedMentions: { parse: [] } };
+}
+
+// The live dashboard session a button was clicked in (detail views carry action buttons), or null.
+function dashboardSessionOf(interaction) {
+  for (const row of interaction.message?.components || []) {
+    for (const c of row.components || []) {
+      if (!c.customId?.startsWith(CID.DASHBOARD_PREFIX)) continue;
+      const session = dashboardSessions.get(c.customId.split(":")[1]);
+      return session && session.userId === interaction.user.id ? session : null;
+    }
+  }
+  return null;
+}
+
+// Dashboard filters from the slash command options each dashboard command offers.
+function dashboardFiltersFrom(interaction, status) {
+  const since = parseDateOption(interaction.options.getString("since"));
+  const until = parseDateOption(interaction.options.getString("until"), { endOfDay: true });
+  return {
+    status,
+    serverId: serverOptionId(interaction),
+    tribe: (interaction.options.getString("tribe") || "").trim(),
+    since,
+    until,
+    adminId: interaction.options.getUser("admin")?.id || null,
+  };
+}
+
+function openDashboard(interaction, kind, status) {
+  const filters = dashboardFiltersFrom(interaction, status);
+  if (Number.isNaN(filters.since) || Number.isNaN(filters.until)) {
+    return interaction.reply({ content: "Dates must look like 2025-01-31.", flags: 64 });
+  }
+  const session = newDashboardSession(interaction, kind, filters);
+  return interaction.reply({ ...renderDashboardList(session), flags: 64 });
+}
+
+// -------------------- Slash command registration (optional) --------------------
+// Schema lives in slashCommands.js; only re-registers when Discord's copy has drifted.
+async function registerSlashCommandsOnStartup() {
+  if (!CLIENT_ID) return;
+  const rest = new REST({ version: "10" }).setToken(TOKEN);
+  try {
+    if (GUILD_IDS.length) {
+      for (const guildId of GUILD_IDS) {
+        const changed = await syncCommands(rest, { clientId: CLIENT_ID, guildId });
+        console.log(changed ? `✅ Slash commands registered (guild ${guildId})` : `✅ Slash commands up to date (guild ${guildId})`);
+      }
+    } else {
+      const changed = await syncCommands(rest, { clientId: CLIENT_ID });
+      console.log(changed ? "✅ Slash commands registered (global)" : "✅ Slash commands up to date (global)");
+    }
+  } catch (e) {
+    console.error("Slash command registration failed:", e);
+  }
+}
+
+// -------------------- Discord client --------------------
+const bot = new Client({
+  intents: [GatewayIntentBits.Guilds], // no privileged intents
+});
+
+bot.once("clientReady", async () => {
+  console.log(`✅ Logged in as ${bot.user.tag} — build clean_v5_combined_open_season_bounty`);
+
+  await registerSlashCommandsOnStartup();
+
+  backfillServerIds();
+  backfillTribes();
+
+  // Start the job sweeper (runs anything missed while offline right away)
+  backfillJobs();
+  await sweepJobs();
+  setInterval(sweepJobs, JOB_SWEEP_INTERVAL_MS);
+
+  refreshAllStatusBoards();
+  setInterval(refreshAllStatusBoards, STATUS_BOARD_INTERVAL_MS);
+});
+
+// -------------------- Health & metrics --------------------
+const metrics = { interactionsHandled: 0, interactionsFailed: 0 };
+
+function dataDirWritable() {
+  try {
+    fs.accessSync(DATA_DIR, fs.constants.W_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Readiness checks: gateway logged in, guild config readable from the store, DATA_DIR writable. */
+function readinessChecks() {
+  let configLoaded = false;
+  try {
+    // Every guild named in GUILD_ID has run /setup; without GUILD_ID, at least one guild has.
+    const guildIds = GUILD_IDS.length ? GUILD_IDS : store.listGuildIds();
+    configLoaded = guildIds.length > 0 && guildIds.every(isGuildConfigured);
+  } catch {
+    configLoaded = false;
+  }
+  return { discord: bot.isReady(), config: configLoaded, dataDir: dataDirWritable() };
+}
+
+function promLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function renderMetrics() {
+  const now = Date.now();
+  const perGuild = new Map();
+  const row = (guildId) => {
+    if (!perGuild.has(guildId)) perGuild.set(guildId, { pending: 0, whiteFlags: 0, bounties: 0, claims: 0 });
+    return perGuild.get(guildId);
+  };
+  for (const guildId of store.listGuildIds()) row(guildId);
+  for (const r of store.listRequests()) {
+    if (r.status === "pending") row(r.guildId).pending++;
+    if (isApprovedAndActive(r, now)) row(r.guildId).whiteFlags++;
+    if (hasActiveBounty(r, now)) row(r.guildId).bounties++;
+  }
+  for (const c of store.listClaims({ status: "pending" })) row(c.guildId).claims++;
+
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) lines.push(`${name}${promLabels(labels)} ${value}`);
+  };
+  const gauge = (name, help, key) => metric(name, "gauge", help, [...perGuild].map(([guild, g]) => [{ guild }, g[key]]));
+
+  gauge("overseer_pending_applications", "White Flag applications awaiting review.", "pending");
+  gauge("overseer_active_white_flags", "Approved White Flags still within their protection window.", "whiteFlags");
+  gauge("overseer_active_bounties", "Bounties currently open.", "bounties");
+  gauge("overseer_pending_claims", "Bounty claims awaiting review.", "claims");
+  metric("overseer_scheduled_jobs", "gauge", "Scheduled timers (expiries, warnings, reminders) waiting to run.", [[{}, store.countJobs()]]);
+  metric("overseer_interactions_total", "counter", "Interactions handled since start.", [[{}, metrics.interactionsHandled]]);
+  metric("overseer_interaction_failures_total", "counter", "Interactions that threw since start.", [[{}, metrics.interactionsFailed]]);
+  metric("overseer_discord_ready", "gauge", "1 when the gateway session is logged in.", [[{}, bot.isReady() ? 1 : 0]]);
+  return `${lines.join("\n")}\n`;
+}
+
+function handleHealthRequest(req, res) {
+  const send = (status, body, type = "text/plain; charset=utf-8") => {
+    res.writeHead(status, { "content-type": type });
+    res.end(body);
+  };
+  const route = (req.url || "/").split("?")[0];
+  try {
+    if (route === "/readyz") {
+      const checks = readinessChecks();
+      const ready = Object.values(checks).every(Boolean);
+      return send(ready ? 200 : 503, `${JSON.stringify({ ready, checks })}\n`, "application/json");
+    }
+    if (route === "/metrics") return send(200, renderMetrics(), "text/plain; version=0.0.4; charset=utf-8");
+    if (route.startsWith("/api/")) return handleApiRequest(req, res);
+    if (route === "/healthz" || route === "/") return send(200, "ok");
+    return send(404, "not found");
+  } catch (e) {
+    console.error("Health request failed:", e);
+    return send(500, "error");
+  }
+}
+
+// -------------------- Read-only API --------------------
+// GET /api/guilds/<guildId>/whiteflags/active
+// GET /api/guilds/<guildId>/bounties/active
+// GET /api/guilds/<guildId>/records/<recordId>
+// GET /api/guilds/<guildId>/claims?status=pending|approved|denied|timed_out|failed
+// GET /api/guilds/<guildId>/tribes/<name or alias>
+// Lists take ?limit= (default 50, max 200), ?offset= and ?since= (date or ISO time).
+const API_TOKEN = String(process.env.API_TOKEN || "").trim();
+const API_DEFAULT_LIMIT = 50;
+const API_MAX_LIMIT = 200;
+
+function apiAuthorized(req) {
+  const header = String(req.headers.authorization || "");
+  const given = Buffer.from(header.startsWith("Bearer ") ? header.slice(7).trim() : "");
+  const expected = Buffer.from(API_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function apiRecord(r, now = Date.now()) {
+  return {
+    id: r.id,
+    guildId: r.guildId,
+    tribeName: r.tribeName,
+    serverId: recordServerId(r.guildId, r),
+    server: serverName(r.guildId, r),
+    map: r.map || null,
+    ign: r.ign || null,
+    status: r.status,
+    requestedAt: r.requestedAt || null,
+    approvedAt: r.approvedAt || null,
+    endsAt: r.status === "bounty_only" ? null : whiteFlagEndsAt(r),
+    whiteFlagActive: isApprovedAndActive(r, now),
+    bounty: r.bounty
+      ? {
+          active: hasActiveBounty(r, now),
+          startedAt: r.bounty.startedAt || null,
+          endsAt: r.bounty.endsAt || null,
+          reward: bountyReward(r),
+          reason: r.bounty.reason || null,
+          targets: bountyTargets(r).map((t) => ({ ign: t.ign, reward: t.reward, locked: Boolean(t.locked), claimedAt: t.claimedAt || null })),
+        }
+      : null,
+  };
+}
+
+function apiClaim(c) {
+  return {
+    id: c.id,
+    guildId: c.guildId,
+    bountyRecordId: c.bountyRecordId,
+    tribeName: c.tribeName,
+    status: c.status,
+    claimantIgn: c.claimantIgn || null,
+    targetIgn: c.bountyTargetIgn || null,
+    submittedBy: c.submittedBy,
+    submittedAt: c.submittedAt || null,
+    reviewedAt: c.approvedAt || c.deniedAt || null,
+    reward: c.reward ?? null,
+  };
+}
+
+/** Apply ?since, then ?offset/?limit, to items already sorted newest first. */
+function apiPage(items, query, timeOf) {
+  const since = parseDateOption(query.get("since"));
+  if (Number.isNaN(since)) return { error: "since must be a date (YYYY-MM-DD) or ISO time" };
+  const limit = Math.min(Math.max(parseInt(query.get("limit"), 10) || API_DEFAULT_LIMIT, 1), API_MAX_LIMIT);
+  const offset = Math.max(parseInt(query.get("offset"), 10) || 0, 0);
+  const filtered = since === null ? items : items.filter((x) => (timeOf(x) || 0) >= since);
+  return { total: filtered.length, limit, offset, items: filtered.slice(offset, offset + limit) };
+}
+
+function apiRoute(guildId, parts, query) {
+  const now = Date.now();
+  const [resource, arg] = parts;
+  const newestFirst = (timeOf) => (a, b) => (timeOf(b) || 0) - (timeOf(a) || 0);
+
+  if (resource === "whiteflags" && arg === "active" && parts.length === 2) {
+    const timeOf = (r) => r.approvedAt;
+    const items = store.listRequests({ guildId, status: "approved" }).filter((r) => isApprovedAndActive(r, now)).sort(newestFirst(timeOf));
+    return [200, apiPage(items, query, timeOf), (r) => apiRecord(r, now)];
   }
-});
+  if (resource === "bounties" && arg === "active" && parts.length === 2) {
+    const timeOf = (r) => r.bounty.startedAt;
+    const items = store.listRequests({ guildId }).filter((r) => hasActiveBounty(r, now)).sort(newestFirst(timeOf));
+    return [200, apiPage(items, query, timeOf), (r) => apiRecord(r, now)];
+  }
+  if (resource === "records" && arg && parts.length === 2) {
+    const r = store.getRequest(guildId, arg);
+    return r ? [200, apiRecord(r, now)] : [404, { error: "record not found" }];
+  }
+  if (resource === "claims" && parts.length === 1) {
+    const status = query.get("status");
+    const timeOf = (c) => c.submittedAt;
+    const items = store.listClaims({ guildId, ...(status && status !== "all" ? { status } : {}) }).sort(newestFirst(timeOf));
+    return [200, apiPage(items, query, timeOf), apiClaim];
+  }
+  if (resource === "tribes" && arg && parts.length === 2) {
+    const tribe = store.findTribe(guildId, arg);
+    const timeOf = (r) => r.bounty?.startedAt || r.requestedAt;
+    const records = store.listRequests({ guildId, tribeName: tribe ? tribe.name : arg }).sort(newestFirst(timeOf));
+    if (!tribe && !records.length) return [404, { error: "tribe not found" }];
+    const page = apiPage(records, query, timeOf);
+    if (page.error) return [400, page];
+    return [
+      200,
+      {
+        tribe: tribe ? { id: tribe.id, name: tribe.name, aliases: tribe.aliases, serverId: tribe.serverId || null } : { id: null, name: arg, aliases: [] },
+        ...page,
+        items: page.items.map((r) => ({ ...apiRecord(r, now), claims: store.listClaims({ guildId, bountyRecordId: r.id }).map(apiClaim) })),
+      },
+    ];
+  }
+  return [404, { error: "unknown route" }];
+}
+
+function handleApiRequest(req, res) {
+  const send = (status, body) => {
+    res.writeHead(status, { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" });
+    res.end(`${JSON.stringify(body)}\n`);
+  };
+  if (!API_TOKEN) return send(404, { error: "API disabled (set API_TOKEN)" });
+  if (req.method !== "GET") return send(405, { error: "read-only API" });
+  if (!apiAuthorized(req)) return send(401, { error: "missing or invalid bearer token" });
+
+  const url = new URL(req.url, "http://localhost");
+  const parts = url.pathname.split("/").filter(Boolean).map((p) => decodeURIComponent(p));
+  // ["api", "guilds", <guildId>, ...route]
+  if (parts[1] !== "guilds" || !parts[2]) return send(404, { error: "unknown route" });
+  if (!isGuildConfigured(parts[2])) return send(404, { error: "guild not found" });
+
+  const [status, body, map] = apiRoute(parts[2], parts.slice(3), url.searchParams);
+  if (body.error) return send(status === 200 ? 400 : status, body);
+  return send(status, map ? { ...body, items: body.items.map(map) } : body);
+}
 
 // -------------------- Interaction handler --------------------
 bot.on("interactionCreate", async (interaction) => {
+  metrics.interactionsHandled++;
   try {
+    const guildId = interaction.guildId;
+    if (!guildId) {
+      if (interaction.isRepliable()) return interaction.reply({ content: "Guild only.", flags: 64 });
+      return;
+    }
+    const cfg = getGuildConfig(guildId);
+
+    // ---------- Autocomplete ----------
+    if (interaction.isAutocomplete()) {
+      return interaction.respond(autocompleteChoices(interaction)).catch(() => null);
+    }
+
     // ---------- Slash commands ----------
     if (interaction.isChatInputCommand()) {
       const cmd = interaction.commandName;
@@ -733,24 +2919,25 @@ bot.on("interactionCreate", async (interaction) => {
         const bountyClaimsChannel = interaction.options.getChannel("bounty_claims_channel");
         const adminRole = interaction.options.getRole("admin_role");
         const openSeasonRole = interaction.options.getRole("open_season_role");
+        const statusBoard = interaction.options.getBoolean("status_board");
 
         if (![rulesChannel, applyChannel, adminChannel, announceChannel].every(isTextChannel)) {
           return interaction.reply({ content: "All channels must be text channels.", flags: 64 });
         }
 
-        state.guildId = guild.id;
-        state.rulesChannelId = rulesChannel.id;
-        state.applyChannelId = applyChannel.id;
-        state.adminChannelId = adminChannel.id;
-        state.announceChannelId = announceChannel.id;
-        state.bountyAnnounceChannelId = bountyChannel && isTextChannel(bountyChannel) ? bountyChannel.id : null;
-        state.bountyClaimsChannelId = bountyClaimsChannel && isTextChannel(bountyClaimsChannel) ? bountyClaimsChannel.id : null;
-        state.adminRoleId = adminRole?.id || null;
-        state.openSeasonRoleId = openSeasonRole?.id || null;
+        const guildCfg = getGuildConfig(guild.id);
+        guildCfg.rulesChannelId = rulesChannel.id;
+        guildCfg.applyChannelId = applyChannel.id;
+        guildCfg.adminChannelId = adminChannel.id;
+        guildCfg.announceChannelId = announceChannel.id;
+        guildCfg.bountyAnnounceChannelId = bountyChannel && isTextChannel(bountyChannel) ? bountyChannel.id : null;
+        guildCfg.bountyClaimsChannelId = bountyClaimsChannel && isTextChannel(bountyClaimsChannel) ? bountyClaimsChannel.id : null;
+        guildCfg.adminRoleId = adminRole?.id || null;
+        guildCfg.openSeasonRoleId = openSeasonRole?.id || null;
 
         // ensure Rules Accepted role exists or create
         await guild.roles.fetch().catch(() => null);
-        let ra = state.rulesAcceptedRoleId ? await guild.roles.fetch(state.rulesAcceptedRoleId).catch(() => null) : null;
+        let ra = guildCfg.rulesAcceptedRoleId ? await guild.roles.fetch(guildCfg.rulesAcceptedRoleId).catch(() => null) : null;
         if (!ra) {
           ra = guild.roles.cache.find((r) => r.name.toLowerCase() === "rules accepted") || null;
         }
@@ -761,65 +2948,669 @@ bot.on("interactionCreate", async (interaction) => {
         }
         if (!ra) return interaction.reply({ content: "Failed to create/find Rules Accepted role.", flags: 64 });
 
-        state.rulesAcceptedRoleId = ra.id;
+        guildCfg.rulesAcceptedRoleId = ra.id;
+
+        const rulesMsg = await rulesChannel.send({ embeds: [buildRulesEmbed(guild.id)], components: [buildRulesRow()] });
+        const applyMsg = await applyChannel.send({ embeds: [buildApplyEmbed(guild.id)], components: buildApplyRows(guild.id) });
 
-        const rulesMsg = await rulesChannel.send({ embeds: [buildRulesEmbed()], components: [buildRulesRow()] });
-        const applyMsg = await applyChannel.send({ embeds: [buildApplyEmbed()], components: [buildApplyRow()] });
+        guildCfg.rulesMessageId = rulesMsg.id;
+        guildCfg.applyMessageId = applyMsg.id;
+
+        // Status board: true posts a fresh one in the announce channel, false turns it off, omitted keeps it.
+        const oldBoard = { channelId: guildCfg.statusBoardChannelId, messageId: guildCfg.statusBoardMessageId };
+        if (statusBoard !== null) {
+          guildCfg.statusBoardChannelId = statusBoard ? announceChannel.id : null;
+          guildCfg.statusBoardMessageId = null;
+        }
+        store.saveGuildConfig(guild.id, guildCfg);
 
-        state.rulesMessageId = rulesMsg.id;
-        state.applyMessageId = applyMsg.id;
-        persistAll();
+        if (statusBoard !== null && oldBoard.messageId) {
+          const oldCh = await safeFetchChannel(guild, oldBoard.channelId);
+          const oldMsg = oldCh && isTextChannel(oldCh) ? await oldCh.messages.fetch(oldBoard.messageId).catch(() => null) : null;
+          if (oldMsg) await oldMsg.delete().catch(() => null);
+        }
+        if (statusBoard) queueStatusBoardRefresh(guild.id);
+        // The digest is on by default; a first /setup shouldn't wait for a restart to arm it.
+        scheduleDigest(guild.id);
 
         return interaction.reply({ content: "✅ Setup complete.", flags: 64 });
       }
 
       if (cmd === "rules") {
-        return interaction.reply({ embeds: [buildRulesEmbed()], flags: 64 });
+        const sub = interaction.options.getSubcommand();
+        if (sub === "show") {
+          return interaction.reply({ embeds: [buildRulesEmbed(guildId)], flags: 64 });
+        }
+        if (sub === "edit") {
+          if (!hasBotStaffRole(interaction.member)) { return denyNoRole(interaction); }
+          const rules = getCurrentRules(guildId);
+          const modal = new ModalBuilder().setCustomId(CID.RULES_EDIT_MODAL).setTitle(`Edit White Flag Rules (now v${rules.version})`);
+          const text = new TextInputBuilder()
+            .setCustomId("rules_text")
+            .setLabel("Rules text (Markdown)")
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(true)
+            .setMaxLength(4000)
+            .setValue(rules.text.slice(0, 4000));
+          modal.addComponents(new ActionRowBuilder().addComponents(text));
+          return interaction.showModal(modal);
+        }
       }
 
       if (cmd === "whiteflags" && interaction.options.getSubcommand() === "active") {
-        const now = Date.now();
-        const active = Object.values(requests).filter((r) => isApprovedAndActive(r, now));
-        if (!active.length) return interaction.reply({ content: "No active White Flags.", flags: 64 });
+        return openDashboard(interaction, "whiteflags", "active");
+      }
+
+      if (cmd === "config") {
+        if (!hasBotStaffRole(interaction.member)) { return denyNoRole(interaction); }
+        const sub = interaction.options.getSubcommand();
+
+        if (interaction.options.getSubcommandGroup(false) === "servers") {
+          const servers = guildServers(guildId);
+          if (sub === "list") {
+            const lines = [`**Servers (${servers.length})** — records keep the id, so names and labels can change.`, ...servers.map((s) => fmtServerLine(guildId, s))];
+            return interaction.reply({ content: lines.join("\n").slice(0, 2000), flags: 64 });
+          }
+
+          let summary = "";
+          if (sub === "add") {
+            const id = interaction.options.getString("id", true).trim().toLowerCase();
+            const name = (interaction.options.getString("name") || "").trim();
+            const label = (interaction.options.getString("label") || "").trim();
+            const style = interaction.options.getString("style");
+            const mapsOpt = interaction.options.getString("maps");
+            const days = interaction.options.getNumber("duration_days");
+            if (!SERVER_ID_RE.test(id)) return interaction.reply({ content: "Server id must be 1–20 lowercase letters, digits, `-` or `_` (e.g. `25x`).", flags: 64 });
+            const existing = servers.find((s) => s.id === id);
+            if (!existing && !name) return interaction.reply({ content: "A new server needs a name.", flags: 64 });
+            if (!existing && servers.length >= MAX_SERVERS) return interaction.reply({ content: `The apply panel holds at most ${MAX_SERVERS} servers.`, flags: 64 });
+            if (name && servers.some((s) => s.id !== id && s.name.toLowerCase() === name.toLowerCase())) {
+              return interaction.reply({ content: "Another server already uses that name.", flags: 64 });
+            }
+
+            const server = existing ? { ...existing } : { id, name, label: "", style: "primary", maps: [], whiteFlagDurationMs: null };
+            // A label we generated follows the name; one staff typed in is kept.
+            if (!existing || server.label === `🏳️ Apply — ${server.name}`) server.label = `🏳️ Apply — ${name || server.name}`;
+            if (name) server.name = name;
+            if (label) server.label = label;
+            if (style) server.style = style;
+            if (mapsOpt !== null) server.maps = mapsOpt.trim().toLowerCase() === "none" ? [] : [...new Set(mapsOpt.split(",").map((m) => m.trim()).filter(Boolean))];
+            if (days !== null) server.whiteFlagDurationMs = Math.round(days * ONE_DAY_MS);
+            server.label = server.label.slice(0, 80);
+
+            saveGuildServers(guildId, existing ? servers.map((s) => (s.id === id ? server : s)) : [...servers, server]);
+            summary = `✅ ${existing ? "Updated" : "Added"} server:\n${fmtServerLine(guildId, server)}`;
+          }
+          if (sub === "remove") {
+            const server = findServer(guildId, interaction.options.getString("server", true));
+            if (!server) return interaction.reply({ content: "Unknown server. See `/config servers list`.", flags: 64 });
+            if (servers.length === 1) return interaction.reply({ content: "Keep at least one server — add its replacement first.", flags: 64 });
+            const open = store
+              .listRequests({ guildId })
+              .filter((r) => recordServerId(guildId, r) === server.id && (r.status === "pending" || isApprovedAndActive(r) || hasActiveBounty(r))).length;
+            saveGuildServers(guildId, servers.filter((s) => s.id !== server.id));
+            summary =
+              `🗑️ Removed **${escapeMd(server.name)}** (\`${server.id}\`).` +
+              (open ? ` ${open} open record(s) still point at it and will show \`${server.id}\` as their server.` : "");
+          }
+
+          await interaction.deferReply({ flags: 64 });
+          const refreshed = await refreshApplyPanel(guildId).catch((e) => {
+            console.error("Apply panel refresh failed:", e?.message || e);
+            return false;
+          });
+          return interaction.editReply(`${summary}\n${refreshed ? "Apply panel updated." : "No apply panel to update — run /setup to post one."}`);
+        }
+
+        if (sub === "rewards") {
+          const guildCfg = getGuildConfig(guildId);
+          const conf = bountyRewardConfig(guildId);
+          const base = interaction.options.getInteger("base");
+          const step = interaction.options.getInteger("escalation_step");
+          const max = interaction.options.getInteger("escalation_max");
+          if (base !== null) conf.base = base;
+          if (step !== null) conf.escalationStep = step;
+          // 0 clears the cap
+          if (max !== null) conf.escalationMax = max > 0 ? max : null;
+
+          const changed = base !== null || step !== null || max !== null;
+          if (changed) {
+            guildCfg.bountyReward = conf;
+            store.saveGuildConfig(guildId, guildCfg);
+          }
+          return interaction.reply({
+            content:
+              `${changed ? "✅ Updated bounty rewards." : "Bounty rewards:"}\n` +
+              `Default: **${fmtReward(conf.base)}**\n` +
+              `Escalation: **+${fmtReward(conf.escalationStep)}** per prior bounty/early termination` +
+              (conf.escalationMax ? `, capped at **${fmtReward(conf.escalationMax)}**` : ", no cap"),
+            flags: 64,
+          });
+        }
+
+        if (sub === "eligibility") {
+          const guildCfg = getGuildConfig(guildId);
+          const rules = eligibilityConfig(guildId);
+          const toggles = { past_flags: "blockPastFlags", ended_early: "blockEndedEarly", active_bounty: "blockActiveBounty", one_open_per_user: "oneOpenPerUser" };
+          let changed = false;
+          for (const [opt, key] of Object.entries(toggles)) {
+            const v = interaction.options.getBoolean(opt);
+            if (v !== null) {
+              rules[key] = v;
+              changed = true;
+            }
+          }
+          const cooldownDays = interaction.options.getNumber("denial_cooldown_days");
+          if (cooldownDays !== null) {
+            rules.denialCooldownMs = Math.round(cooldownDays * ONE_DAY_MS);
+            changed = true;
+          }
+          if (changed) {
+            guildCfg.eligibility = rules;
+            store.saveGuildConfig(guildId, guildCfg);
+          }
+
+          const onOff = (v) => (v ? "on" : "off");
+          return interaction.reply({
+            content:
+              `${changed ? "✅ Updated White Flag eligibility." : "White Flag eligibility:"}\n` +
+              `Block tribes with a past White Flag: **${onOff(rules.blockPastFlags)}**\n` +
+              `Block tribes whose flag was ended early: **${onOff(rules.blockEndedEarly)}**\n` +
+              `Block tribes with an active bounty: **${onOff(rules.blockActiveBounty)}**\n` +
+              `One open application per member: **${onOff(rules.oneOpenPerUser)}**\n` +
+              `Cooldown after a denial: **${rules.denialCooldownMs > 0 ? fmtDuration(rules.denialCooldownMs) : "none"}**`,
+            flags: 64,
+          });
+        }
+
+        if (sub === "claims") {
+          const guildCfg = getGuildConfig(guildId);
+          const conf = claimReviewConfig(guildId);
+          const reminders = interaction.options.getString("reminder_hours");
+          const timeout = interaction.options.getNumber("lock_timeout_hours");
+          const action = interaction.options.getString("timeout_action");
+          const extension = interaction.options.getNumber("extension_hours");
+          if (reminders !== null) {
+            const hours = reminders.trim() === "" || reminders.trim() === "0" ? [] : reminders.split(",").map((h) => Number(h.trim()));
+            if (hours.some((h) => !Number.isFinite(h) || h <= 0)) {
+              return interaction.reply({ content: "Reminder hours must be positive numbers, e.g. `2,8,24` (or `0` for none).", flags: 64 });
+            }
+            conf.reminderHours = [...hours].sort((a, b) => a - b);
+          }
+          if (timeout !== null) conf.lockTimeoutHours = timeout;
+          if (action !== null) conf.lockTimeoutAction = action;
+          if (extension !== null) conf.bountyExtensionHours = extension;
+
+          const changed = reminders !== null || timeout !== null || action !== null || extension !== null;
+          if (changed) {
+            guildCfg.claimReview = conf;
+            store.saveGuildConfig(guildId, guildCfg);
+          }
+          return interaction.reply({
+            content:
+              `${changed ? "✅ Updated claim review settings." : "Claim review settings:"} (changes apply to new claims)\n` +
+              `Reminders: **${conf.reminderHours.length ? conf.reminderHours.map((h) => `${h}h`).join(", ") : "none"}** after submission\n` +
+              `Lock timeout: **${conf.lockTimeoutHours > 0 ? `${conf.lockTimeoutHours}h, then ${conf.lockTimeoutAction}` : "never"}**\n` +
+              `Bounty extension while a claim is under review: **${conf.bountyExtensionHours > 0 ? `${conf.bountyExtensionHours}h` : "off"}**`,
+            flags: 64,
+          });
+        }
 
-        const lines = active
-          .slice(0, 25)
-          .map((r) => `• **${escapeMd(r.tribeName)}** — ends ${fmtDiscordRelativeTime(r.approvedAt + SEVEN_DAYS_MS)} (ID: \`${r.id}\`)`);
-        return interaction.reply({ content: lines.join("\n"), flags: 64 });
+        if (sub === "rcon") {
+          const guildCfg = getGuildConfig(guildId);
+          const conf = rconConfig(guildId);
+          const target = findServer(guildId, interaction.options.getString("server", true));
+          if (!target) return interaction.reply({ content: "Unknown server. See `/config servers list`.", flags: 64 });
+          const server = target.id;
+          const host = (interaction.options.getString("host") || "").trim();
+          const port = interaction.options.getInteger("port");
+          const password = interaction.options.getString("password");
+          const clear = interaction.options.getBoolean("clear");
+          const test = interaction.options.getBoolean("test");
+
+          const changed = Boolean(host) || port !== null || password !== null || clear === true;
+          if (clear) {
+            delete conf.servers[server];
+          } else if (changed) {
+            const next = { ...(conf.servers[server] || {}) };
+            if (host) next.host = host;
+            if (port !== null) next.port = port;
+            if (password !== null) next.password = password;
+            if (!next.host || !next.port || !next.password) {
+              return interaction.reply({ content: "A server needs host, port and password (set them together the first time).", flags: 64 });
+            }
+            conf.servers[server] = next;
+          }
+          if (changed) {
+            guildCfg.rcon = { ...(guildCfg.rcon || {}), servers: conf.servers };
+            store.saveGuildConfig(guildId, guildCfg);
+          }
+
+          const current = conf.servers[server];
+          let status = current ? `**${escapeMd(target.name)}** → \`${current.host}:${current.port}\` (password set)` : `**${escapeMd(target.name)}**: RCON off`;
+          if (test && current) {
+            await interaction.deferReply({ flags: 64 });
+            const reply = await sendRconCommand(current, "ServerChat RCON test from the White Flag bot.").then(
+              (text) => `✅ Test sent. Server replied: ${escapeMd(text || "(empty)").slice(0, 200)}`,
+              (e) => `❌ Test failed: ${escapeMd(e?.message || String(e))}`
+            );
+            return interaction.editReply(`${status}\n${reply}`);
+          }
+          if (test) status += "\nNothing to test — configure the server first.";
+          return interaction.reply({ content: `${changed ? "✅ Updated. " : ""}${status}`, flags: 64 });
+        }
+
+        if (sub === "rcon_message") {
+          const guildCfg = getGuildConfig(guildId);
+          const event = interaction.options.getString("event", true);
+          const template = interaction.options.getString("template");
+          const messages = { ...(guildCfg.rcon?.messages || {}) };
+          if (template !== null) {
+            const t = template.trim();
+            if (t.toLowerCase() === "default") delete messages[event];
+            else messages[event] = t.toLowerCase() === "off" ? "" : t;
+            guildCfg.rcon = { ...(guildCfg.rcon || {}), messages };
+            store.saveGuildConfig(guildId, guildCfg);
+          }
+          const current = rconConfig(guildId).messages[event];
+          return interaction.reply({
+            content:
+              `${template !== null ? "✅ Updated. " : ""}\`${event}\` → ${current ? `\`${current}\`` : "**off**"}\n` +
+              `Placeholders: ${RCON_PLACEHOLDERS.join(" ")}. Use \`off\` to disable or \`default\` to reset.`,
+            flags: 64,
+          });
+        }
+
+        if (sub === "digest") {
+          const guildCfg = getGuildConfig(guildId);
+          const conf = digestConfig(guildId);
+          const enabled = interaction.options.getBoolean("enabled");
+          const time = (interaction.options.getString("time") || "").trim();
+          const timeZone = (interaction.options.getString("timezone") || "").trim();
+          if (time && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(time)) return interaction.reply({ content: "Time must look like 09:00 (24h).", flags: 64 });
+          if (timeZone && !isValidTimeZone(timeZone)) return interaction.reply({ content: "Unknown time zone. Use an IANA name like `Europe/Berlin` or `America/New_York`.", flags: 64 });
+          if (enabled !== null) conf.enabled = enabled;
+          if (time) conf.time = time.padStart(5, "0");
+          if (timeZone) conf.timeZone = timeZone;
+
+          const changed = enabled !== null || Boolean(time) || Boolean(timeZone);
+          if (changed) {
+            guildCfg.digest = conf;
+            store.saveGuildConfig(guildId, guildCfg);
+            scheduleDigest(guildId);
+          }
+          const status = conf.enabled
+            ? `Daily digest at **${conf.time} ${conf.timeZone}** in ${guildCfg.adminChannelId ? `<#${guildCfg.adminChannelId}>` : "the admin channel (not set — run /setup)"} — next ${fmtDiscordRelativeTime(nextDigestAt(conf))}.`
+            : "Daily digest is **off**.";
+          if (interaction.options.getBoolean("preview")) {
+            return interaction.reply({ content: `${changed ? "✅ Updated. " : ""}${status}`, embeds: [buildDigestEmbed(guildId)], flags: 64, allowedMentions: { parse: [] } });
+          }
+          return interaction.reply({ content: `${changed ? "✅ Updated. " : ""}${status}`, flags: 64 });
+        }
+
+        if (sub === "season") {
+          const guildCfg = getGuildConfig(guildId);
+          const startOpt = (interaction.options.getString("start") || "").trim();
+          if (!startOpt) {
+            return interaction.reply({
+              content: guildCfg.seasonStartedAt
+                ? `Current season started <t:${Math.floor(guildCfg.seasonStartedAt / 1000)}:f>.`
+                : "No season start set; season leaderboards show all time.",
+              flags: 64,
+            });
+          }
+          const start = startOpt.toLowerCase() === "now" ? Date.now() : parseDateOption(startOpt);
+          if (Number.isNaN(start)) return interaction.reply({ content: "Start must look like 2025-01-31 (or `now`).", flags: 64 });
+          guildCfg.seasonStartedAt = start;
+          store.saveGuildConfig(guildId, guildCfg);
+          return interaction.reply({ content: `✅ Season now starts <t:${Math.floor(start / 1000)}:f>.`, flags: 64 });
+        }
       }
 
-      if (cmd === "bounties" && interaction.options.getSubcommand() === "active") {
-        const now = Date.now();
-        const active = Object.values(requests).filter((r) => hasActiveBounty(r, now));
-        if (!active.length) return interaction.reply({ content: "No active bounties.", flags: 64 });
+      if (cmd === "whiteflag") {
+        if (!hasBotStaffRole(interaction.member)) { return denyNoRole(interaction); }
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === "duration") {
+          const server = findServer(guildId, interaction.options.getString("server", true));
+          if (!server) return interaction.reply({ content: "Unknown server. See `/config servers list`.", flags: 64 });
+          const days = interaction.options.getNumber("days");
+          if (days === null) {
+            return interaction.reply({ content: `White Flag length on **${escapeMd(server.name)}**: **${fmtDuration(whiteFlagDurationMs(guildId, server.id))}**.`, flags: 64 });
+          }
+          saveGuildServers(
+            guildId,
+            guildServers(guildId).map((s) => (s.id === server.id ? { ...s, whiteFlagDurationMs: Math.round(days * ONE_DAY_MS) } : s))
+          );
+          return interaction.reply({ content: `✅ New White Flags on **${escapeMd(server.name)}** will last **${fmtDuration(days * ONE_DAY_MS)}**. Existing flags keep their end time.`, flags: 64 });
+        }
+
+        if (sub === "extend" || sub === "shorten") {
+          const tribe = (interaction.options.getString("tribe") || "").trim();
+          const id = (interaction.options.getString("id") || "").trim();
+          const deltaMs = (interaction.options.getInteger("days") || 0) * ONE_DAY_MS + (interaction.options.getInteger("hours") || 0) * 60 * 60 * 1000;
+          if (!tribe && !id) return interaction.reply({ content: "Provide tribe or id.", flags: 64 });
+          if (deltaMs < MIN_WHITE_FLAG_ADJUST_MS) return interaction.reply({ content: "Provide days and/or hours (at least 1 hour).", flags: 64 });
+
+          let target = null;
+          if (id) target = store.getRequest(guildId, id);
+          if (!target && tribe) target = getActiveApprovedForTribe(guildId, tribe);
+          const now = Date.now();
+          if (!isApprovedAndActive(target, now)) return interaction.reply({ content: "No active White Flag found.", flags: 64 });
+
+          const before = cloneRecord(target);
+          const extend = sub === "extend";
+          target.endsAt = Math.max(now, whiteFlagEndsAt(target) + (extend ? deltaMs : -deltaMs));
+          // New end time gets a fresh 24h warning if there's still room for one
+          if (target.endsAt - ONE_DAY_MS > now) delete target.wfWarnedAt;
+          store.saveRequest(target);
+          recordAudit(guildId, interaction.user.id, extend ? AUDIT.WF_EXTEND : AUDIT.WF_SHORTEN, { record: target, before });
+          refreshStatusBoardSoon(guildId);
+
+          scheduleExpiry(guildId, target.id);
+          scheduleWhiteFlagExpiryWarning(guildId, target.id);
+
+          const verb = extend ? "EXTENDED" : "SHORTENED";
+          await safeDmUser(bot, target.requestedBy, `🕒 Your White Flag for **${escapeMd(target.tribeName)}** was **${verb}** by admins. Protection now ends ${fmtDiscordRelativeTime(target.endsAt)}.`);
 
-        const lines = active
-          .slice(0, 25)
-          .map((r) => `• **${escapeMd(r.tribeName)}** — ends ${fmtDiscordRelativeTime(r.bounty.endsAt)} (ID: \`${r.id}\`)`);
-        return interaction.reply({ content: lines.join("\n"), flags: 64 });
+          return interaction.reply({
+            content: `✅ ${extend ? "Extended" : "Shortened"} White Flag for **${escapeMd(target.tribeName)}** by **${fmtDuration(deltaMs)}**. Now ends ${fmtDiscordRelativeTime(target.endsAt)} (ID: \`${target.id}\`).`,
+            flags: 64,
+          });
+        }
+      }
+
+      if (cmd === "bounties" && interaction.options.getSubcommand() === "active") {
+        return openDashboard(interaction, "bounties", "active");
       }
 
       if (cmd === "admin") {
         if (!hasBotStaffRole(interaction.member)) { return denyNoRole(interaction); }
         const sub = interaction.options.getSubcommand();
+        if (interaction.options.getSubcommandGroup(false) === "webhooks") {
+          if (sub === "add") {
+            const url = interaction.options.getString("url", true).trim();
+            let parsed = null;
+            try {
+              parsed = new URL(url);
+            } catch {
+              parsed = null;
+            }
+            if (!parsed || !["https:", "http:"].includes(parsed.protocol)) return interaction.reply({ content: "URL must be an http(s) address.", flags: 64 });
+
+            const known = Object.values(LIFECYCLE_EVENTS);
+            const events = [...new Set((interaction.options.getString("events") || "").split(",").map((e) => e.trim().toLowerCase()).filter(Boolean))];
+            const unknown = events.filter((e) => !known.includes(e));
+            if (unknown.length) return interaction.reply({ content: `Unknown event(s): ${unknown.join(", ")}. Known: ${known.join(", ")}.`, flags: 64 });
+
+            const secret = crypto.randomBytes(24).toString("hex");
+            const hook = store.saveWebhook({ id: newWebhookId(), guildId, url, secret, events, createdBy: interaction.user.id });
+            return interaction.reply({
+              content:
+                `✅ Webhook \`${hook.id}\` added for ${events.length ? events.join(", ") : "all events"}.\n` +
+                `Signing secret (shown once): \`${secret}\`\n` +
+                "Verify `X-Overseer-Signature` = `sha256=` + HMAC-SHA256 of the raw body.",
+              flags: 64,
+            });
+          }
+          const id = (interaction.options.getString("id") || "").trim();
+          const hook = id ? store.getWebhook(guildId, id) : null;
+          if (!hook && (id || sub === "remove" || sub === "test")) return interaction.reply({ content: "Webhook not found.", flags: 64 });
+          if (sub === "remove") {
+            store.deleteWebhook(guildId, hook.id);
+            return interaction.reply({ content: `🗑️ Webhook \`${hook.id}\` removed. Queued deliveries to it will be dropped.`, flags: 64 });
+          }
+          if (sub === "test") {
+            await interaction.deferReply({ flags: 64 });
+            const payload = webhookPayload(guildId, WEBHOOK_TEST_EVENT);
+            const delivery = store.createWebhookDelivery({ guildId, webhookId: hook.id, event: WEBHOOK_TEST_EVENT, payload });
+            const result = await postWebhook(hook, delivery);
+            store.recordWebhookAttempt(delivery.id, { status: result.ok ? "delivered" : "failed", lastStatus: result.status, lastError: result.error });
+            return interaction.editReply(result.ok ? `✅ Test delivered (HTTP ${result.status}).` : `❌ Test failed: ${result.error}`);
+          }
+          if (sub === "list") {
+            const hooks = hook ? [hook] : store.listWebhooks(guildId);
+            const deliveries = store.listWebhookDeliveries({ guildId, webhookId: hook?.id || null, limit: 10 });
+            const lines = [
+              `**Webhooks (${hooks.length})**`,
+              ...(hooks.length ? hooks.map(fmtWebhookLine) : ["None — add one with `/admin webhooks add`."]),
+              "",
+              "**Recent deliveries**",
+              ...(deliveries.length ? deliveries.map(fmtDeliveryLine) : ["None yet."]),
+            ];
+            return interaction.reply({ content: lines.join("\n").slice(0, 2000), flags: 64 });
+          }
+        }
+        if (sub === "whiteflags") {
+          return openDashboard(interaction, "whiteflags", interaction.options.getString("filter") || "pending");
+        }
         if (sub === "bounties") {
-          const filter = interaction.options.getString("filter") || "active";
-          const now = Date.now();
-          let list = Object.values(requests).filter((r) => r?.bounty);
-          if (filter === "active") list = list.filter((r) => hasActiveBounty(r, now));
-          if (filter === "expired") list = list.filter((r) => r?.bounty && !hasActiveBounty(r, now));
-          const lines = list.slice(0, 25).map((r) => `• **${escapeMd(r.tribeName)}** — ${r.bounty.active ? "ACTIVE" : "INACTIVE"} — ID: \`${r.id}\``);
-          return interaction.reply({ content: lines.length ? lines.join("\n") : "No results.", flags: 64 });
+          return openDashboard(interaction, "bounties", interaction.options.getString("filter") || "active");
         }
         if (sub === "claims") {
-          const filter = interaction.options.getString("filter") || "pending";
-          let list = Object.values(claims);
-          if (filter !== "all") list = list.filter((c) => c.status === filter);
-          const lines = list
-            .slice(0, 25)
-            .map((c) => `• **${escapeMd(c.tribeName)}** — ${c.status.toUpperCase()} — Claim ID: \`${c.id}\` — Record: \`${c.bountyRecordId}\``);
-          return interaction.reply({ content: lines.length ? lines.join("\n") : "No results.", flags: 64 });
+          return openDashboard(interaction, "claims", interaction.options.getString("filter") || "pending");
+        }
+        if (sub === "reports") {
+          const filter = interaction.options.getString("filter") || "open";
+          let list = store.listReports({ guildId });
+          if (filter === "open") list = list.filter((r) => REPORT_OPEN_STATUSES.includes(r.status));
+          else if (filter !== "all") list = list.filter((r) => r.status === filter);
+          if (!list.length) return interaction.reply({ content: "No results.", flags: 64 });
+
+          // Discord caps messages at 2000 chars; stop before that.
+          let content = "";
+          let shown = 0;
+          for (const r of list) {
+            const line =
+              `• **${escapeMd(r.tribeName)}** — ${r.status.toUpperCase()} — by <@${r.reportedBy}> ${fmtDiscordRelativeTime(r.reportedAt)} — ID: \`${r.id}\`` +
+              (r.bountyRecordId ? ` — Bounty: \`${r.bountyRecordId}\`` : "");
+            if (content.length + line.length + 40 > 2000) break;
+            content += (content ? "\n" : "") + line;
+            shown++;
+          }
+          if (shown < list.length) content += `\n…and ${list.length - shown} more.`;
+          return interaction.reply({ content, flags: 64, allowedMentions: { parse: [] } });
+        }
+        if (sub === "payouts") {
+          const status = interaction.options.getString("status") || "owed";
+          const user = interaction.options.getUser("user");
+          const list = store.listPayouts({ guildId, status: status === "all" ? undefined : status, userId: user?.id });
+          if (!list.length) return interaction.reply({ content: "No payouts match.", flags: 64 });
+
+          const total = list.reduce((sum, p) => sum + p.amount, 0);
+          const header = `**${list.length}** payout(s) — **${fmtReward(total)}** total${status === "all" ? "" : ` ${status}`}`;
+          const lines = list.slice(0, 20).map(fmtPayoutLine);
+          if (list.length > lines.length) lines.push(`…and ${list.length - lines.length} more.`);
+          return interaction.reply({ content: [header, ...lines].join("\n"), flags: 64, allowedMentions: { parse: [] } });
+        }
+        if (sub === "audit") {
+          const tribe = (interaction.options.getString("tribe") || "").trim();
+          const user = interaction.options.getUser("user");
+          const action = (interaction.options.getString("action") || "").trim().toLowerCase();
+          const actions = Object.values(AUDIT);
+          if (action && !actions.some((a) => a === action || a.startsWith(`${action}.`))) {
+            const categories = [...new Set(actions.map((a) => a.split(".")[0]))];
+            return interaction.reply({ content: `Unknown action. Use a name like \`wf.approve\` or a category: ${categories.join(", ")}.`, flags: 64 });
+          }
+          const since = parseDateOption(interaction.options.getString("since"));
+          const until = parseDateOption(interaction.options.getString("until"), { endOfDay: true });
+          if (Number.isNaN(since) || Number.isNaN(until)) {
+            return interaction.reply({ content: "Dates must look like 2025-01-31.", flags: 64 });
+          }
+
+          const entries = store.listAudit({
+            guildId,
+            tribeName: tribe || undefined,
+            actorId: user?.id,
+            action: action || undefined,
+            since: since ?? undefined,
+            until: until ?? undefined,
+            limit: interaction.options.getInteger("limit") || 20,
+          });
+          if (!entries.length) return interaction.reply({ content: "No audit entries match.", flags: 64 });
+
+          // Discord caps messages at 2000 chars; stop before that.
+          let content = "";
+          let shown = 0;
+          for (const entry of entries) {
+            const line = formatAuditEntry(entry);
+            if (content.length + line.length + 40 > 2000) break;
+            content += (content ? "\n" : "") + line;
+            shown++;
+          }
+          if (shown < entries.length) content += `\n…and ${entries.length - shown} more (narrow the filters).`;
+          return interaction.reply({ content, flags: 64, allowedMentions: { parse: [] } });
+        }
+      }
+
+      if (cmd === "leaderboard") {
+        const period = interaction.options.getString("period") || "season";
+        const serverId = serverOptionId(interaction);
+        const sortBy = interaction.options.getString("sort") || "claims";
+        const since = statsPeriodStart(guildId, period);
+        const rows = hunterLeaderboard(guildId, { since, serverId, sortBy });
+
+        const periodLabel =
+          period === "week" ? "Last 7 days" : period === "season" && since ? `Season (since <t:${Math.floor(since / 1000)}:d>)` : "All time";
+        const title = `🏆 **Bounty Hunter Leaderboard** — ${periodLabel}${serverId ? ` — ${escapeMd(serverName(guildId, { serverId }))}` : ""}`;
+        if (!rows.length) return interaction.reply({ content: `${title}\nNo approved claims yet.`, flags: 64 });
+
+        const lines = rows
+          .slice(0, LEADERBOARD_SIZE)
+          .map((r, i) => `**${i + 1}.** <@${r.userId}> (${escapeMd(r.ign || "N/A")}) — **${r.claims}** claim(s) — **${fmtReward(r.rewards)}**`);
+        return interaction.reply({ content: [title, ...lines].join("\n"), flags: 64, allowedMentions: { parse: [] } });
+      }
+
+      if (cmd === "report") {
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === "submit") {
+          const tribe = interaction.options.getString("tribe", true).trim();
+          const target = getActiveApprovedForTribe(guildId, tribe);
+          if (!target) return interaction.reply({ content: "That tribe has no active White Flag.", flags: 64 });
+          return submitReport(interaction, target, {
+            evidence: interaction.options.getString("evidence", true).trim(),
+            map: (interaction.options.getString("map") || "").trim(),
+            time: (interaction.options.getString("time") || "").trim(),
+            details: (interaction.options.getString("details") || "").trim(),
+            attachments: attachmentOptions(interaction, "file", 2),
+          });
+        }
+
+        if (sub === "addinfo") {
+          const report = store.getReport(guildId, interaction.options.getString("id", true).trim());
+          if (!report || report.reportedBy !== interaction.user.id) return interaction.reply({ content: "Report not found.", flags: 64 });
+          if (!REPORT_OPEN_STATUSES.includes(report.status)) return interaction.reply({ content: `That report is already **${report.status}**.`, flags: 64 });
+
+          const before = cloneRecord(report);
+          report.updates = [...(report.updates || []), { at: Date.now(), text: interaction.options.getString("info", true).trim() }];
+          report.status = "open";
+          store.saveReport(report);
+          recordAudit(guildId, interaction.user.id, AUDIT.REPORT_INFO, { report, before });
+          await refreshReportMessage(interaction.guild, report);
+          return interaction.reply({ content: "✅ Added to your report.", flags: 64 });
+        }
+      }
+
+      if (cmd === "tribe") {
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === "info") {
+          const name = (interaction.options.getString("tribe", true) || "").trim();
+          const tribe = store.findTribe(guildId, name);
+          if (!tribe && !store.listRequests({ guildId, tribeName: name }).length) {
+            return interaction.reply({ content: "No tribe or records found with that name.", flags: 64 });
+          }
+          return interaction.reply({ embeds: [buildTribeInfoEmbed(guildId, tribe, name)], flags: 64, allowedMentions: { parse: [] } });
+        }
+
+        if (!hasBotStaffRole(interaction.member)) { return denyNoRole(interaction); }
+
+        if (sub === "rename") {
+          const name = interaction.options.getString("tribe", true).trim();
+          const newName = interaction.options.getString("name", true).trim();
+          if (!normalizeTribeName(newName)) return interaction.reply({ content: "New name is required.", flags: 64 });
+          const tribe = resolveTribe(guildId, name);
+          if (!tribe) return interaction.reply({ content: "Tribe not found.", flags: 64 });
+          const other = store.findTribe(guildId, newName);
+          if (other && other.id !== tribe.id) {
+            return interaction.reply({ content: `**${escapeMd(other.name)}** already uses that name. Use \`/tribe merge\` instead.`, flags: 64 });
+          }
+
+          const before = cloneRecord(tribe);
+          const oldName = tribe.name;
+          tribe.name = newName;
+          tribe.aliases = tribe.aliases.filter((a) => normalizeTribeName(a) !== normalizeTribeName(newName));
+          addUnique(tribe.aliases, oldName);
+          store.saveTribe(tribe);
+          recordAudit(guildId, interaction.user.id, AUDIT.TRIBE_RENAME, { tribe, before });
+          return interaction.reply({
+            content: `✅ Renamed **${escapeMd(oldName)}** to **${escapeMd(newName)}**. The old name still finds this tribe.`,
+            flags: 64,
+          });
+        }
+
+        if (sub === "merge") {
+          const fromName = interaction.options.getString("from", true).trim();
+          const intoName = interaction.options.getString("into", true).trim();
+          const from = resolveTribe(guildId, fromName);
+          const into = resolveTribe(guildId, intoName);
+          if (!from || !into) return interaction.reply({ content: "Tribe not found.", flags: 64 });
+          if (from.id === into.id) return interaction.reply({ content: "Those names already belong to the same tribe.", flags: 64 });
+
+          const before = cloneRecord(into);
+          mergeTribes(from, into);
+          recordAudit(guildId, interaction.user.id, AUDIT.TRIBE_MERGE, { tribe: into, before });
+          const count = store.listRequests({ guildId, tribeName: into.name }).length;
+          return interaction.reply({
+            content: `✅ Merged **${escapeMd(from.name)}** into **${escapeMd(into.name)}** (${count} record(s) now under this tribe).`,
+            flags: 64,
+          });
+        }
+      }
+
+      if (cmd === "profile") {
+        const user = interaction.options.getUser("user") || interaction.user;
+        const p = hunterProfile(guildId, user.id);
+        const total = p.approved + p.denied + p.pending;
+        if (!total) return interaction.reply({ content: `<@${user.id}> has not submitted any bounty claims.`, flags: 64, allowedMentions: { parse: [] } });
+
+        const embed = new EmbedBuilder()
+          .setTitle(`🎯 Hunter Profile — ${user.username}`)
+          .addFields(
+            { name: "Approved", value: String(p.approved), inline: true },
+            { name: "Denied", value: String(p.denied), inline: true },
+            { name: "Pending", value: String(p.pending), inline: true },
+            { name: "Approval rate", value: p.approvalRate === null ? "N/A" : `${Math.round(p.approvalRate * 100)}%`, inline: true },
+            { name: "Rewards earned", value: fmtReward(p.rewards), inline: true },
+            { name: "IGNs", value: escapeMd(p.igns.join(", ")).slice(0, 1024) || "N/A", inline: true },
+            {
+              name: "Recent claims",
+              value: p.recent
+                .map((c) => `• **${escapeMd(c.tribeName)}** — ${c.status.toUpperCase()} — ${fmtDiscordRelativeTime(c.submittedAt || 0)}`)
+                .join("\n"),
+            }
+          );
+        return interaction.reply({ embeds: [embed], flags: 64 });
+      }
+
+      if (cmd === "balance") {
+        const user = interaction.options.getUser("user") || interaction.user;
+        if (user.id !== interaction.user.id && !hasBotStaffRole(interaction.member)) {
+          return denyNoRole(interaction, "⛔ Only staff can view another member's balance.");
         }
+        const b = store.payoutBalances(guildId)[user.id];
+        if (!b) return interaction.reply({ content: `<@${user.id}> has no bounty payouts yet.`, flags: 64, allowedMentions: { parse: [] } });
+
+        const owed = store.listPayouts({ guildId, userId: user.id, status: "owed" });
+        const lines = [
+          `**Bounty balance for <@${user.id}>**`,
+          `Owed: **${fmtReward(b.owed)}** (${b.owedCount})`,
+          `Paid: **${fmtReward(b.paid)}** (${b.paidCount})`,
+          ...(b.voidedCount ? [`Voided: ${fmtReward(b.voided)} (${b.voidedCount})`] : []),
+          ...owed.slice(0, 10).map(fmtPayoutLine),
+        ];
+        return interaction.reply({ content: lines.join("\n"), flags: 64, allowedMentions: { parse: [] } });
       }
 
       if (cmd === "bounty") {
@@ -828,36 +3619,51 @@ bot.on("interactionCreate", async (interaction) => {
         if (sub === "add") {
           if (!hasBotStaffRole(interaction.member)) { return denyNoRole(interaction); }
           const tribe = (interaction.options.getString("tribe") || "").trim();
-          const ign = (interaction.options.getString("ign") || "").trim();
-          const server = (interaction.options.getString("server") || "").trim();
+          const igns = parseIgnList(interaction.options.getString("ign"));
+          const ign = igns.join(", ");
+          const serverOpt = (interaction.options.getString("server") || "").trim();
+          const server = findServer(guildId, serverOpt);
           const reason = (interaction.options.getString("reason") || "").trim();
+          const rewardOpt = interaction.options.getInteger("reward");
           if (!tribe) return interaction.reply({ content: "Tribe is required.", flags: 64 });
+          if (serverOpt && !server) return interaction.reply({ content: "Unknown server. See `/config servers list`.", flags: 64 });
 
-          const existing = getActiveBountyForTribe(tribe);
+          const existing = getActiveBountyForTribe(guildId, tribe);
           const now = Date.now();
 
           let record;
           if (existing) {
+            const before = cloneRecord(existing);
             existing.bounty.active = true;
             existing.bounty.startedAt = now;
             existing.bounty.endsAt = now + ONE_WEEK_MS;
             existing.bounty.startedBy = interaction.user.id;
             existing.bounty.reason = reason || existing.bounty.reason || "Manual bounty created.";
+            if (rewardOpt !== null) existing.bounty.reward = rewardOpt;
             if (ign) existing.ign = ign;
-            if (server) existing.serverType = server;
-            requests[existing.id] = existing;
-            persistAll();
-            scheduleBountyExpiry(existing.id);
-            scheduleBountyExpiryWarning(existing.id);
+            if (server) {
+              existing.serverId = server.id;
+              delete existing.serverType;
+            }
+            if (igns.length) setBountyTargets(existing, igns);
+            else rebalanceBountyShares(existing);
+            store.saveRequest(existing);
+            recordAudit(guildId, interaction.user.id, AUDIT.BOUNTY_REFRESH, { record: existing, before });
+            emitLifecycleEvent(guildId, LIFECYCLE_EVENTS.BOUNTY_ISSUED, { record: existing });
+            ensureTribeFromRecord(existing);
+            scheduleBountyExpiry(guildId, existing.id);
+            scheduleBountyExpiryWarning(guildId, existing.id);
             record = existing;
           } else {
             const id = newRequestId();
+            const escalated = computeBountyReward(guildId, tribe);
             record = {
               id,
+              guildId,
               status: "bounty_only",
               tribeName: tribe,
               ign: ign || "N/A",
-              serverType: server || "N/A",
+              serverId: server?.id || null,
               map: "N/A",
               requestedBy: interaction.user.id,
               requestedAt: now,
@@ -867,22 +3673,27 @@ bot.on("interactionCreate", async (interaction) => {
                 endsAt: now + ONE_WEEK_MS,
                 startedBy: interaction.user.id,
                 reason: reason || "Manual bounty created.",
+                reward: rewardOpt !== null ? rewardOpt : escalated.amount,
+                priorOffenses: escalated.offenses,
                 // claim lock
                 locked: false,
                 lockedByClaimId: null,
               },
             };
-            requests[id] = record;
-            persistAll();
-            scheduleBountyExpiry(id);
-            scheduleBountyExpiryWarning(id);
+            setBountyTargets(record, igns);
+            store.saveRequest(record);
+            recordAudit(guildId, interaction.user.id, AUDIT.BOUNTY_ADD, { record });
+            emitLifecycleEvent(guildId, LIFECYCLE_EVENTS.BOUNTY_ISSUED, { record });
+            ensureTribeFromRecord(record);
+            scheduleBountyExpiry(guildId, id);
+            scheduleBountyExpiryWarning(guildId, id);
           }
 
           // Announce with Claim button
           const guild = interaction.guild;
           const bountyCh = await safeFetchChannel(
             guild,
-            state.bountyAnnounceChannelId || state.announceChannelId || state.adminChannelId
+            cfg.bountyAnnounceChannelId || cfg.announceChannelId || cfg.adminChannelId
           );
           if (bountyCh && isTextChannel(bountyCh)) {
             const claimRow = new ActionRowBuilder().addComponents(
@@ -895,20 +3706,23 @@ bot.on("interactionCreate", async (interaction) => {
             const bountyMsg = await bountyCh.send({
               content:
                 `🎯 **BOUNTY ISSUED** — **${escapeMd(record.tribeName)}** ` +
-                `(IGN: **${escapeMd(record.ign)}**, Server: **${escapeMd(record.serverType)}**) — ` +
-                `Reward: **${BOUNTY_REWARD}** — ends ${fmtDiscordRelativeTime(record.bounty.endsAt)}.`,
+                `(IGN: **${escapeMd(record.ign)}**, Server: **${escapeMd(serverName(guildId, record))}**) — ` +
+                `Reward: **${fmtReward(bountyReward(record))}** — ends ${fmtDiscordRelativeTime(record.bounty.endsAt)}.` +
+                bountyTargetsBlock(record),
               components: [claimRow],
             });
 
             // store message ids for auto-disable
             record.bounty.announceChannelId = bountyCh.id;
             record.bounty.announceMessageId = bountyMsg.id;
-            requests[record.id] = record;
-            persistAll();
+            store.saveRequest(record);
           }
 
           return interaction.reply({
-            content: `✅ Bounty issued for **${escapeMd(record.tribeName)}**. Ends ${fmtDiscordRelativeTime(record.bounty.endsAt)} (ID: \`${record.id}\`).`,
+            content:
+              `✅ Bounty issued for **${escapeMd(record.tribeName)}** — Reward: **${fmtReward(bountyReward(record))}**` +
+              (record.bounty.priorOffenses ? ` (${record.bounty.priorOffenses} prior offense${record.bounty.priorOffenses === 1 ? "" : "s"})` : "") +
+              `. Ends ${fmtDiscordRelativeTime(record.bounty.endsAt)} (ID: \`${record.id}\`).`,
             flags: 64,
           });
         }
@@ -920,41 +3734,14 @@ bot.on("interactionCreate", async (interaction) => {
           if (!tribe && !id) return interaction.reply({ content: "Provide tribe or id.", flags: 64 });
 
           let target = null;
-          if (id) target = requests[id] || null;
-          if (!target && tribe) target = getActiveBountyForTribe(tribe);
+          if (id) target = store.getRequest(guildId, id) || null;
+          if (!target && tribe) target = getActiveBountyForTribe(guildId, tribe);
 
           if (!target || !target.bounty || !target.bounty.active) {
             return interaction.reply({ content: "No active bounty found.", flags: 64 });
           }
 
-          const t = activeBountyTimeouts.get(target.id);
-          if (t) clearTimeout(t);
-          activeBountyTimeouts.delete(target.id);
-
-          target.bounty.active = false;
-          target.bounty.removedAt = Date.now();
-          target.bounty.removedBy = interaction.user.id;
-          target.bounty.locked = false;
-          target.bounty.lockedByClaimId = null;
-          requests[target.id] = target;
-          persistAll();
-
-          // disable claim post
-          try {
-            const guild = interaction.guild;
-            const chId = target.bounty.announceChannelId;
-            const msgId = target.bounty.announceMessageId;
-            if (guild && chId && msgId) {
-              const bountyCh = await guild.channels.fetch(chId).catch(() => null);
-              if (bountyCh && isTextChannel(bountyCh)) {
-                const msg = await bountyCh.messages.fetch(msgId).catch(() => null);
-                if (msg) await msg.edit({ content: msg.content + "\n🛑 **CANCELED**", components: [] }).catch(() => null);
-              }
-            }
-          } catch {
-            // ignore
-          }
-
+          await removeBounty(interaction.guild, target, interaction.user.id);
           return interaction.reply({ content: `✅ Removed bounty for **${escapeMd(target.tribeName)}**.`, flags: 64 });
         }
 
@@ -964,64 +3751,73 @@ bot.on("interactionCreate", async (interaction) => {
           const bountyIgn = (interaction.options.getString("bounty_ign") || "").trim();
           const proof = (interaction.options.getString("proof") || "").trim();
           const notes = (interaction.options.getString("notes") || "").trim();
+          const attachments = attachmentOptions(interaction, "evidence", 3);
 
-          if (!tribe || !ign || !bountyIgn || !proof) return interaction.reply({ content: "Missing required fields.", flags: 64 });
+          if (!tribe || !ign || !bountyIgn) return interaction.reply({ content: "Missing required fields.", flags: 64 });
+          if (!proof && !attachments.length) return interaction.reply({ content: "Add proof: a link/text or at least one attachment.", flags: 64 });
 
-          const target = getActiveBountyForTribe(tribe);
+          const target = getActiveBountyForTribe(guildId, tribe);
           if (!target) return interaction.reply({ content: "No active bounty for that tribe.", flags: 64 });
 
-          // claim lock
-          if (target.bounty.locked) {
-            return interaction.reply({ content: "This bounty already has a pending claim under review.", flags: 64 });
+          // claim lock (per target)
+          if (!openBountyTargets(target).length) {
+            return interaction.reply({ content: "Every target on this bounty is already claimed or under review.", flags: 64 });
+          }
+          const bountyTarget = findOpenBountyTarget(target, bountyIgn);
+          if (!bountyTarget) {
+            const open = openBountyTargets(target).map((t) => t.ign).join(", ");
+            return interaction.reply({ content: `That IGN isn't an open target on this bounty. Open targets: ${escapeMd(open)}`, flags: 64 });
           }
 
           const claimId = newClaimId();
+          const multi = bountyTargets(target).length > 1;
           const claim = {
             id: claimId,
+            guildId,
             bountyRecordId: target.id,
             tribeName: target.tribeName,
-            reward: BOUNTY_REWARD,
+            reward: bountyTarget.reward,
             submittedBy: interaction.user.id,
             submittedAt: Date.now(),
             claimantIgn: ign,
-            bountyTargetIgn: bountyIgn,
+            bountyTargetIgn: multi ? bountyTarget.ign : bountyIgn,
             proof,
             notes: notes || "",
+            attachments,
             status: "pending",
           };
-          claims[claimId] = claim;
-          persistClaims();
+          const failed = await submitClaim(interaction.guild, interaction.user.id, target, bountyTarget, claim);
+          if (failed) return interaction.reply({ content: `❌ Couldn't post your claim for review: ${escapeMd(failed)}. The target is open again — please try again later.`, flags: 64 });
 
-          target.bounty.locked = true;
-          target.bounty.lockedByClaimId = claimId;
-          requests[target.id] = target;
-          persistAll();
-
-          const guild = interaction.guild;
-          const adminCh = await safeFetchChannel(guild, state.bountyClaimsChannelId || state.adminChannelId);
-          if (adminCh && isTextChannel(adminCh)) {
-            const embed = new EmbedBuilder()
-              .setTitle("🎯 Bounty Claim Submitted")
-              .setDescription(
-                `Tribe: **${escapeMd(target.tribeName)}**\n` +
-                  `Reward: **${BOUNTY_REWARD}**\n` +
-                  `Submitted by: <@${interaction.user.id}>\n` +
-                  `Claimant IGN: **${escapeMd(ign)}**\n` +
-                  `Bounty Target IGN: **${escapeMd(bountyIgn)}**\n` +
-                  `Proof: ${proof}\n` +
-                  (notes ? `Notes: ${escapeMd(notes)}\n` : "") +
-                  `Record ID: \`${target.id}\`\nClaim ID: \`${claimId}\``
-              );
-
-            const row = new ActionRowBuilder().addComponents(
-              new ButtonBuilder().setCustomId(`${CID.BOUNTY_CLAIM_APPROVE_PREFIX}${claimId}`).setLabel("Approve").setStyle(ButtonStyle.Success),
-              new ButtonBuilder().setCustomId(`${CID.BOUNTY_CLAIM_DENY_PREFIX}${claimId}`).setLabel("Deny").setStyle(ButtonStyle.Danger)
-            );
+          return interaction.reply({ content: "✅ Claim submitted for admin review.", flags: 64 });
+        }
 
-            await adminCh.send({ embeds: [embed], components: [row] });
+        if (sub === "evidence") {
+          const claim = store.getClaim(guildId, interaction.options.getString("id", true).trim());
+          if (!claim || claim.submittedBy !== interaction.user.id) return interaction.reply({ content: "Claim not found.", flags: 64 });
+          if (claim.status !== "pending") return interaction.reply({ content: `That claim is already **${claim.status}**.`, flags: 64 });
+
+          const added = attachmentOptions(interaction, "file", 3);
+          const room = MAX_CLAIM_ATTACHMENTS - (claim.attachments || []).length;
+          if (room <= 0) return interaction.reply({ content: `A claim can hold at most ${MAX_CLAIM_ATTACHMENTS} attachments.`, flags: 64 });
+
+          const before = cloneRecord(claim);
+          claim.attachments = [...(claim.attachments || []), ...added.slice(0, room)];
+          store.saveClaim(claim);
+          recordAudit(guildId, interaction.user.id, AUDIT.CLAIM_EVIDENCE, { claim, before });
+
+          // Update the admin queue message in place; post a fresh one if it's gone.
+          const ch = claim.adminChannelId ? await safeFetchChannel(interaction.guild, claim.adminChannelId) : null;
+          const msg = ch && isTextChannel(ch) ? await ch.messages.fetch(claim.adminMessageId).catch(() => null) : null;
+          if (msg) await msg.edit({ embeds: buildClaimSubmittedEmbeds(claim) }).catch(() => null);
+          else {
+            const failed = await postClaimOrFail(interaction.guild, claim);
+            if (failed) {
+              return interaction.reply({ content: `❌ Couldn't re-post claim \`${claim.id}\` for review: ${escapeMd(failed)}. It was released — please submit it again.`, flags: 64 });
+            }
           }
 
-          return interaction.reply({ content: "✅ Claim submitted for admin review.", flags: 64 });
+          return interaction.reply({ content: `✅ Added ${Math.min(added.length, room)} file(s) to claim \`${claim.id}\`.`, flags: 64 });
         }
 
         if (sub === "status") {
@@ -1030,13 +3826,19 @@ bot.on("interactionCreate", async (interaction) => {
           if (!tribe && !id) return interaction.reply({ content: "Provide tribe or id.", flags: 64 });
 
           let target = null;
-          if (id) target = requests[id] || null;
-          if (!target && tribe) target = getActiveBountyForTribe(tribe) || getActiveApprovedForTribe(tribe);
+          if (id) target = store.getRequest(guildId, id) || null;
+          if (!target && tribe) target = getActiveBountyForTribe(guildId, tribe) || getActiveApprovedForTribe(guildId, tribe);
 
           if (!target) return interaction.reply({ content: "Not found.", flags: 64 });
 
           const isActive = hasActiveBounty(target);
-          const lockLine = target.bounty?.locked ? `\nClaim status: **PENDING REVIEW**` : "";
+          const lockLine = !target.bounty
+            ? ""
+            : bountyTargets(target).length > 1
+              ? `\nTargets:\n${bountyTargets(target).map(fmtBountyTargetLine).join("\n")}`
+              : target.bounty.locked
+                ? `\nClaim status: **PENDING REVIEW**`
+                : "";
           const endLine = isActive ? `Ends ${fmtDiscordRelativeTime(target.bounty.endsAt)}` : "Not active";
           return interaction.reply({ content: `Bounty for **${escapeMd(target.tribeName)}**: **${isActive ? "ACTIVE" : "INACTIVE"}** — ${endLine}${lockLine}\nRecord ID: \`${target.id}\``, flags: 64 });
         }
@@ -1052,31 +3854,44 @@ bot.on("interactionCreate", async (interaction) => {
         const roleId = ensureRulesAcceptedRoleId(guild);
         if (!roleId) return interaction.reply({ content: "Bot not setup. Ask an admin to run /setup.", flags: 64 });
 
+        const rules = getCurrentRules(guildId);
+        store.recordRulesAcceptance({ guildId, userId: interaction.user.id, version: rules.version });
+
         // interaction.member is a GuildMember-like object here
         try {
           await interaction.member.roles.add(roleId).catch(() => null);
         } catch {
           // ignore
         }
-        return interaction.reply({ content: "✅ Rules accepted. You may now apply.", flags: 64 });
+        const versionNote = rules.version > 0 ? ` (version ${rules.version})` : "";
+        return interaction.reply({ content: `✅ Rules accepted${versionNote}. You may now apply.`, flags: 64 });
       }
 
       // Open apply modals
-      if (interaction.customId === CID.APPLY_OPEN_25 || interaction.customId === CID.APPLY_OPEN_100) {
+      if (interaction.customId.startsWith(CID.APPLY_OPEN_PREFIX) || interaction.customId in LEGACY_APPLY_SERVER_IDS) {
         const guild = interaction.guild;
         if (!guild) return interaction.reply({ content: "Guild only.", flags: 64 });
+        const server = findServer(guildId, applyServerIdFrom(interaction.customId, CID.APPLY_OPEN_PREFIX));
+        if (!server) return interaction.reply({ content: "That server no longer takes applications.", flags: 64 });
 
-        const roleId = state.rulesAcceptedRoleId;
+        const roleId = cfg.rulesAcceptedRoleId;
         if (roleId && !interaction.member.roles.cache?.has(roleId)) {
           return interaction.reply({ content: "You must accept the rules first.", flags: 64 });
         }
+        if (!hasAcceptedCurrentRules(guildId, interaction.user.id)) {
+          const where = cfg.rulesChannelId ? ` in <#${cfg.rulesChannelId}>` : "";
+          return interaction.reply({ content: `The rules have changed (version ${getCurrentRules(guildId).version}). Please read and accept them again${where} before applying.`, flags: 64 });
+        }
+        if (eligibilityConfig(guildId).oneOpenPerUser && userOpenApplication(guildId, interaction.user.id)) {
+          return interaction.reply({ content: "You already have an application waiting for review.", flags: 64 });
+        }
 
-        const is25 = interaction.customId === CID.APPLY_OPEN_25;
-        const modal = new ModalBuilder().setCustomId(is25 ? CID.APPLY_MODAL_25 : CID.APPLY_MODAL_100).setTitle(is25 ? "White Flag — 25x PVP" : "White Flag — 100x PVP Chaos");
+        const modal = new ModalBuilder().setCustomId(`${CID.APPLY_MODAL_PREFIX}${server.id}`).setTitle(`White Flag — ${server.name}`.slice(0, 45));
 
         const ign = new TextInputBuilder().setCustomId("ign").setLabel("Your in-game name (IGN)").setStyle(TextInputStyle.Short).setRequired(true);
         const tribe = new TextInputBuilder().setCustomId("tribe").setLabel("Tribe name").setStyle(TextInputStyle.Short).setRequired(true);
         const map = new TextInputBuilder().setCustomId("map").setLabel("Map").setStyle(TextInputStyle.Short).setRequired(true);
+        if (server.maps.length) map.setPlaceholder(server.maps.join(", ").slice(0, 100));
 
         modal.addComponents(new ActionRowBuilder().addComponents(ign), new ActionRowBuilder().addComponents(tribe), new ActionRowBuilder().addComponents(map));
         return interaction.showModal(modal);
@@ -1087,16 +3902,16 @@ bot.on("interactionCreate", async (interaction) => {
         if (!hasBotStaffRole(interaction.member)) { return denyNoRole(interaction); }
         const isApprove = interaction.customId.startsWith(CID.ADMIN_APPROVE_PREFIX);
         const requestId = interaction.customId.split(":")[1];
-        requests = safeReadJson(REQUESTS_PATH, {});
-        const req = requests[requestId];
+        const req = store.getRequest(guildId, requestId);
         if (!req) return interaction.reply({ content: "Request not found.", flags: 64 });
 
+        const before = cloneRecord(req);
         if (!isApprove) {
           req.status = "denied";
           req.deniedAt = Date.now();
           req.deniedBy = interaction.user.id;
-          requests[requestId] = req;
-          persistAll();
+          store.saveRequest(req);
+          recordAudit(guildId, interaction.user.id, AUDIT.WF_DENY, { record: req, before });
           // DM requester
           await safeDmUser(bot, req.requestedBy, `❌ Your White Flag request for **${escapeMd(req.tribeName)}** was **DENIED**.`);
 
@@ -1126,7 +3941,7 @@ try {
 
         // Approve
         // enforce 1 active per tribe
-        const existing = getActiveApprovedForTribe(req.tribeName);
+        const existing = getActiveApprovedForTribe(guildId, req.tribeName);
         if (existing && existing.id !== req.id) {
           return interaction.reply({ content: "That tribe already has an active White Flag.", flags: 64 });
         }
@@ -1134,14 +3949,16 @@ try {
         req.status = "approved";
         req.approvedAt = Date.now();
         req.approvedBy = interaction.user.id;
-        requests[requestId] = req;
-        persistAll();
+        req.endsAt = req.approvedAt + whiteFlagDurationMs(guildId, recordServerId(guildId, req));
+        store.saveRequest(req);
+        recordAudit(guildId, interaction.user.id, AUDIT.WF_APPROVE, { record: req, before });
+        emitLifecycleEvent(guildId, LIFECYCLE_EVENTS.WF_APPROVED, { record: req });
 
         // DM requester
-        await safeDmUser(bot, req.requestedBy, `✅ Your White Flag request for **${escapeMd(req.tribeName)}** was **APPROVED**. Protection ends ${fmtDiscordRelativeTime(req.approvedAt + SEVEN_DAYS_MS)}.`);
+        await safeDmUser(bot, req.requestedBy, `✅ Your White Flag request for **${escapeMd(req.tribeName)}** was **APPROVED**. Protection ends ${fmtDiscordRelativeTime(req.endsAt)}.`);
 
-        scheduleExpiry(requestId);
-        scheduleWhiteFlagExpiryWarning(requestId);
+        scheduleExpiry(guildId, requestId);
+        scheduleWhiteFlagExpiryWarning(guildId, requestId);
 
 // Update admin review message: disable approve/deny and add End Early button
 try {
@@ -1166,17 +3983,25 @@ try {
 }
 
 
-        return interaction.reply({ content: `✅ Approved White Flag for **${escapeMd(req.tribeName)}**. Ends ${fmtDiscordRelativeTime(req.approvedAt + SEVEN_DAYS_MS)}.`, flags: 64 });
+        return interaction.reply({ content: `✅ Approved White Flag for **${escapeMd(req.tribeName)}**. Ends ${fmtDiscordRelativeTime(req.endsAt)}.`, flags: 64 });
       }
 
       // Admin end early (bounty)
       if (interaction.customId.startsWith(CID.ADMIN_END_EARLY_PREFIX)) {
         if (!hasBotStaffRole(interaction.member)) { return denyNoRole(interaction); }
-        const requestId = interaction.customId.split(":")[1];
-        requests = safeReadJson(REQUESTS_PATH, {});
-        const req = requests[requestId];
+        const [, requestId, reportId] = interaction.customId.split(":");
+        const req = store.getRequest(guildId, requestId);
         if (!req) return interaction.reply({ content: "Request not found.", flags: 64 });
 
+        // From a report, on a flag that's already been ended: just attach the report to that bounty.
+        if (reportId && req.status === "ended_early") {
+          const linked = await linkReportsToBounty(interaction.guild, req, interaction.user.id);
+          return interaction.reply({ content: `This White Flag was already ended early; linked ${linked} report(s) to its bounty.`, flags: 64 });
+        }
+        if (req.status === "ended_early") return interaction.reply({ content: "This White Flag was already ended early.", flags: 64 });
+        if (!isApprovedAndActive(req)) return interaction.reply({ content: "This White Flag is not active.", flags: 64 });
+
+        const before = cloneRecord(req);
         req.status = "ended_early";
         req.endedEarlyAt = Date.now();
         req.endedEarlyBy = interaction.user.id;
@@ -1189,63 +4014,130 @@ try {
         req.bounty.endsAt = now + ONE_WEEK_MS;
         req.bounty.startedBy = interaction.user.id;
         req.bounty.reason = "White Flag ended early.";
+        const escalated = computeBountyReward(guildId, req.tribeName, req.id);
+        req.bounty.reward = escalated.amount;
+        req.bounty.priorOffenses = escalated.offenses;
         req.bounty.locked = false;
         req.bounty.lockedByClaimId = null;
+        req.bounty.targets = null;
+        setBountyTargets(req, parseIgnList(req.ign));
 
-        requests[requestId] = req;
-        persistAll();
+        store.saveRequest(req);
+        recordAudit(guildId, interaction.user.id, AUDIT.WF_END_EARLY, { record: req, before });
+        emitLifecycleEvent(guildId, LIFECYCLE_EVENTS.WF_ENDED_EARLY, { record: req });
+        emitLifecycleEvent(guildId, LIFECYCLE_EVENTS.BOUNTY_ISSUED, { record: req });
 
         // DM requester
         await safeDmUser(bot, req.requestedBy, `🛑 Your White Flag for **${escapeMd(req.tribeName)}** was **ENDED EARLY** by admins.A bounty has been issued for your tribe.`);
 
-        scheduleBountyExpiry(requestId);
-        scheduleBountyExpiryWarning(requestId);
+        store.cancelJobs(requestId, [JOB.WF_EXPIRE, JOB.WF_WARN]);
+        scheduleBountyExpiry(guildId, requestId);
+        scheduleBountyExpiryWarning(guildId, requestId);
 
         const guild = interaction.guild;
-        const announceCh = await safeFetchChannel(guild, state.announceChannelId);
-        const openPing = state.openSeasonRoleId ? `<@&${state.openSeasonRoleId}> ` : "";
+        const announceCh = await safeFetchChannel(guild, cfg.announceChannelId);
+        const openPing = cfg.openSeasonRoleId ? `<@&${cfg.openSeasonRoleId}> ` : "";
         if (announceCh && isTextChannel(announceCh)) {
           await announceCh.send(` Bounty issued for tribe **${escapeMd(req.tribeName)}**.`);
         }
 
         // Post bounty + claim button
-        const bountyCh = await safeFetchChannel(guild, state.bountyAnnounceChannelId || state.announceChannelId || state.adminChannelId);
+        const bountyCh = await safeFetchChannel(guild, cfg.bountyAnnounceChannelId || cfg.announceChannelId || cfg.adminChannelId);
         if (bountyCh && isTextChannel(bountyCh)) {
           const claimRow = new ActionRowBuilder().addComponents(
             new ButtonBuilder().setCustomId(`${CID.BOUNTY_CLAIM_OPEN_PREFIX}${req.id}`).setLabel("Claim Bounty").setStyle(ButtonStyle.Primary)
           );
           const bountyMsg = await bountyCh.send({
             content:
-              `${state.openSeasonRoleId ? `<@&${state.openSeasonRoleId}> ` : ``}🎯 **BOUNTY HAS BEEN ISSUED FOR** **${escapeMd(req.tribeName)}** ` +
-              `**, Server: **${escapeMd(req.serverType || "N/A")}**) — ` +
-              `Reward: **${BOUNTY_REWARD}** — ends ${fmtDiscordRelativeTime(req.bounty.endsAt)}.`,
+              `${cfg.openSeasonRoleId ? `<@&${cfg.openSeasonRoleId}> ` : ``}🎯 **BOUNTY HAS BEEN ISSUED FOR** **${escapeMd(req.tribeName)}** ` +
+              `**, Server: **${escapeMd(serverName(guildId, req))}**) — ` +
+              `Reward: **${fmtReward(bountyReward(req))}** — ends ${fmtDiscordRelativeTime(req.bounty.endsAt)}.`,
             components: [claimRow],
           });
 
           req.bounty.announceChannelId = bountyCh.id;
           req.bounty.announceMessageId = bountyMsg.id;
-          requests[requestId] = req;
-          persistAll();
+          store.saveRequest(req);
+        }
+
+        const linked = await linkReportsToBounty(guild, req, interaction.user.id);
+        return interaction.reply({
+          content: `✅ Ended early and bounty has been issued.${linked ? ` Linked ${linked} report(s).` : ""}`,
+          flags: 64,
+        });
+      }
+
+      // Dashboard paging
+      if (interaction.customId.startsWith(CID.DASHBOARD_PREFIX)) {
+        const [, sessionId, action] = interaction.customId.split(":");
+        const session = dashboardSessions.get(sessionId);
+        if (!session || session.userId !== interaction.user.id) {
+          return interaction.reply({ content: "This dashboard has expired. Run the command again.", flags: 64 });
+        }
+        session.touchedAt = Date.now();
+        if (action === "prev") session.page--;
+        if (action === "next") session.page++;
+        return interaction.update({ content: "", ...renderDashboardList(session) });
+      }
+
+      if (interaction.customId.startsWith(CID.BOUNTY_REMOVE_PREFIX)) {
+        if (!hasBotStaffRole(interaction.member)) { return denyNoRole(interaction); }
+        const target = store.getRequest(guildId, interaction.customId.split(":")[1]);
+        if (!target || !hasActiveBounty(target)) return interaction.reply({ content: "No active bounty found.", flags: 64 });
+        await removeBounty(interaction.guild, target, interaction.user.id);
+        return interaction.reply({ content: `✅ Removed bounty for **${escapeMd(target.tribeName)}**.`, flags: 64 });
+      }
+
+      // Report button on a White Flag
+      if (interaction.customId.startsWith(CID.REPORT_OPEN_PREFIX)) {
+        const recordId = interaction.customId.split(":")[1];
+        const target = store.getRequest(guildId, recordId);
+        if (!target || !isApprovedAndActive(target)) return interaction.reply({ content: "That White Flag is no longer active.", flags: 64 });
+        return interaction.showModal(buildReportModal(target.id, target.tribeName));
+      }
+
+      if (interaction.customId.startsWith(CID.REPORT_DISMISS_PREFIX) || interaction.customId.startsWith(CID.REPORT_ASK_INFO_PREFIX)) {
+        if (!hasBotStaffRole(interaction.member)) { return denyNoRole(interaction); }
+        const dismiss = interaction.customId.startsWith(CID.REPORT_DISMISS_PREFIX);
+        const reportId = interaction.customId.split(":")[1];
+        const report = store.getReport(guildId, reportId);
+        if (!report) return interaction.reply({ content: "Report not found.", flags: 64 });
+        if (!REPORT_OPEN_STATUSES.includes(report.status)) return interaction.reply({ content: `That report is already **${report.status}**.`, flags: 64 });
+
+        if (!dismiss) {
+          const modal = new ModalBuilder().setCustomId(`${CID.REPORT_ASK_INFO_MODAL_PREFIX}${report.id}`).setTitle("Ask the reporter for more info");
+          const question = new TextInputBuilder().setCustomId("question").setLabel("What do you need?").setStyle(TextInputStyle.Paragraph).setRequired(true);
+          modal.addComponents(new ActionRowBuilder().addComponents(question));
+          return interaction.showModal(modal);
         }
 
-        return interaction.reply({ content: "✅ Ended early and bounty has been issued.", flags: 64 });
+        const before = cloneRecord(report);
+        report.status = "dismissed";
+        report.resolvedBy = interaction.user.id;
+        report.resolvedAt = Date.now();
+        store.saveReport(report);
+        recordAudit(guildId, interaction.user.id, AUDIT.REPORT_DISMISS, { report, before });
+        await interaction.update({ embeds: [buildReportEmbed(report)], components: [] });
+        await safeDmUser(bot, report.reportedBy, `🚩 Your report on **${escapeMd(report.tribeName)}** was reviewed and dismissed.`);
+        return;
       }
 
       // Open bounty claim modal from button
       if (interaction.customId.startsWith(CID.BOUNTY_CLAIM_OPEN_PREFIX)) {
         const recordId = interaction.customId.split(":")[1];
-        requests = safeReadJson(REQUESTS_PATH, {});
-        const target = requests[recordId];
+        const target = store.getRequest(guildId, recordId);
         if (!target || !hasActiveBounty(target)) {
           return interaction.reply({ content: "This bounty is no longer active.", flags: 64 });
         }
-        if (target.bounty.locked) {
-          return interaction.reply({ content: "This bounty already has a pending claim under review.", flags: 64 });
+        const open = openBountyTargets(target);
+        if (!open.length) {
+          return interaction.reply({ content: "Every target on this bounty is already claimed or under review.", flags: 64 });
         }
 
         const modal = new ModalBuilder().setCustomId(`${CID.BOUNTY_CLAIM_SUBMIT_PREFIX}${recordId}`).setTitle("Bounty Claim");
         const ign = new TextInputBuilder().setCustomId("ign").setLabel("Your IGN").setStyle(TextInputStyle.Short).setRequired(true);
         const bountyIgn = new TextInputBuilder().setCustomId("bounty_ign").setLabel("Bounty Target IGN").setStyle(TextInputStyle.Short).setRequired(true);
+        if (bountyTargets(target).length > 1) bountyIgn.setPlaceholder(`Open: ${open.map((t) => t.ign).join(", ")}`.slice(0, 100));
         const proof = new TextInputBuilder().setCustomId("proof").setLabel("Proof (clip/link/text)").setStyle(TextInputStyle.Paragraph).setRequired(true);
         modal.addComponents(new ActionRowBuilder().addComponents(ign), new ActionRowBuilder().addComponents(bountyIgn), new ActionRowBuilder().addComponents(proof));
         return interaction.showModal(modal);
@@ -1257,49 +4149,54 @@ try {
 
         const approve = interaction.customId.startsWith(CID.BOUNTY_CLAIM_APPROVE_PREFIX);
         const claimId = interaction.customId.split(":")[1];
-
-        claims = safeReadJson(CLAIMS_PATH, {});
-        requests = safeReadJson(REQUESTS_PATH, {});
-        const claim = claims[claimId];
+        const claim = store.getClaim(guildId, claimId);
         if (!claim) return interaction.reply({ content: "Claim not found.", flags: 64 });
 
-        const target = requests[claim.bountyRecordId];
+        if (claim.status !== "pending") return interaction.reply({ content: `This claim is already **${claim.status}**.`, flags: 64 });
+
+        const target = store.getRequest(guildId, claim.bountyRecordId);
         if (!target || !target.bounty) return interaction.reply({ content: "Bounty record not found.", flags: 64 });
+        const bountyTarget = claimTargetOf(target, claim);
 
+        const claimBefore = cloneRecord(claim);
         if (approve) {
           claim.status = "approved";
           claim.approvedAt = Date.now();
           claim.approvedBy = interaction.user.id;
-          claims[claimId] = claim;
-          persistClaims();
-
-          // Close bounty
-          target.bounty.active = false;
-          target.bounty.claimedAt = Date.now();
-          target.bounty.claimedBy = claim.submittedBy;
-          target.bounty.locked = true;
-          target.bounty.lockedByClaimId = claimId;
-          requests[target.id] = target;
-          persistAll();
-
-          // Disable claim post
-          try {
-            const guild = interaction.guild;
-            const chId = target.bounty.announceChannelId;
-            const msgId = target.bounty.announceMessageId;
-            if (guild && chId && msgId) {
-              const bountyCh = await guild.channels.fetch(chId).catch(() => null);
-              if (bountyCh && isTextChannel(bountyCh)) {
-                const msg = await bountyCh.messages.fetch(msgId).catch(() => null);
-                if (msg) await msg.edit({ content: msg.content + "\n✅ **CLAIMED**", components: [] }).catch(() => null);
-              }
-            }
-          } catch {
-            // ignore
+          store.saveClaim(claim);
+          recordAudit(guildId, interaction.user.id, AUDIT.CLAIM_APPROVE, { claim, before: claimBefore });
+          cancelClaimJobs(claim.id);
+          const payout = createClaimPayout(guildId, claim, target);
+
+          // Mark the target claimed; close the bounty once every target is
+          const targetBefore = cloneRecord(target);
+          const now = Date.now();
+          if (bountyTarget) {
+            bountyTarget.locked = false;
+            bountyTarget.lockedByClaimId = null;
+            bountyTarget.claimedAt = now;
+            bountyTarget.claimedBy = claim.submittedBy;
+            bountyTarget.claimId = claim.id;
           }
+          syncBountyLock(target);
+          const remaining = bountyTargets(target).filter((t) => !t.claimedAt).length;
+          if (!remaining) {
+            target.bounty.active = false;
+            target.bounty.claimedAt = now;
+            target.bounty.claimedBy = claim.submittedBy;
+            target.bounty.locked = true;
+            target.bounty.lockedByClaimId = claimId;
+          }
+          store.saveRequest(target);
+          recordAudit(guildId, interaction.user.id, AUDIT.BOUNTY_CLAIMED, { record: target, before: targetBefore });
+          emitLifecycleEvent(guildId, LIFECYCLE_EVENTS.BOUNTY_CLAIMED, { record: target, claim });
+          if (!remaining) cancelBountyJobs(target.id);
+
+          // Update the claim post (and disable it when closed)
+          await refreshBountyAnnouncement(interaction.guild, target, { closedLine: remaining ? null : "✅ **CLAIMED**" });
 
           // ONE log only (no short duplicate)
-          const adminCh = await safeFetchChannel(interaction.guild, state.bountyClaimsChannelId || state.adminChannelId);
+          const adminCh = await safeFetchChannel(interaction.guild, cfg.bountyClaimsChannelId || cfg.adminChannelId);
           const outCh = adminCh && isTextChannel(adminCh) ? adminCh : null;
 
           const details =
@@ -1307,27 +4204,33 @@ try {
             `Tribe: **${escapeMd(claim.tribeName)}**\n` +
             `Target IGN (claimed): **${escapeMd(claim.bountyTargetIgn)}**\n` +
             `Claimant IGN: **${escapeMd(claim.claimantIgn)}**\n` +
-            `Reward: **${BOUNTY_REWARD}**\n` +
+            `Reward: **${fmtReward(claim.reward ?? bountyReward(target))}**\n` +
             `Approved by: <@${interaction.user.id}>\n` +
             `Submitted by: <@${claim.submittedBy}>\n` +
             `Proof: ${claim.proof}\n` +
             (claim.notes ? `Notes: ${escapeMd(claim.notes)}\n` : "") +
-            `Claim ID: \`${claim.id}\`  Record ID: \`${claim.bountyRecordId}\``;
+            `Claim ID: \`${claim.id}\`  Record ID: \`${claim.bountyRecordId}\`  Payout ID: \`${payout.id}\`\n` +
+            payoutStatusLine(payout);
 
-          if (outCh) await outCh.send(details);
+          if (outCh) {
+            const logMsg = await outCh.send({ content: details, components: [buildPayoutRow(payout)] }).catch(() => null);
+            if (logMsg) store.setPayoutLogMessage(payout.id, outCh.id, logMsg.id);
+          }
 
 // Post a public "claimed" notice in the bounty channel (or announce channel), if different from admin channel
 try {
   const guild = interaction.guild;
   const bountyCh = await safeFetchChannel(
     guild,
-    state.bountyAnnounceChannelId || state.announceChannelId || state.adminChannelId
+    cfg.bountyAnnounceChannelId || cfg.announceChannelId || cfg.adminChannelId
   );
   if (bountyCh && isTextChannel(bountyCh)) {
     // Avoid double-posting in the same channel as the detailed admin log
     if (!outCh || bountyCh.id !== outCh.id) {
       await bountyCh.send(
-        `🏁 **BOUNTY CLAIMED** on tribe **${escapeMd(claim.tribeName)}** by <@${claim.submittedBy}>.`
+        remaining
+          ? `🎯 **${escapeMd(claim.bountyTargetIgn)}** of tribe **${escapeMd(claim.tribeName)}** claimed by <@${claim.submittedBy}> — Reward: **${fmtReward(claim.reward ?? bountyReward(target))}**. ${remaining} target(s) still open.`
+          : `🏁 **BOUNTY CLAIMED** on tribe **${escapeMd(claim.tribeName)}** by <@${claim.submittedBy}> — Reward: **${fmtReward(claim.reward ?? bountyReward(target))}**.`
       );
     }
   }
@@ -1336,126 +4239,238 @@ try {
 }
 
 
-          return interaction.reply({ content: "✅ Claim approved and bounty closed.", flags: 64 });
+          return interaction.reply({
+            content: remaining ? `✅ Claim approved (${remaining} target(s) still open).` : "✅ Claim approved and bounty closed.",
+            flags: 64,
+          });
         }
 
         // Deny
         claim.status = "denied";
         claim.deniedAt = Date.now();
         claim.deniedBy = interaction.user.id;
-        claims[claimId] = claim;
-        persistClaims();
-
-        // unlock bounty so someone else can claim
-        target.bounty.locked = false;
-        target.bounty.lockedByClaimId = null;
-        requests[target.id] = target;
-        persistAll();
+        store.saveClaim(claim);
+        recordAudit(guildId, interaction.user.id, AUDIT.CLAIM_DENY, { claim, before: claimBefore });
+        cancelClaimJobs(claim.id);
+
+        // unlock the target so someone else can claim it
+        if (bountyTarget && !bountyTarget.claimedAt) {
+          bountyTarget.locked = false;
+          bountyTarget.lockedByClaimId = null;
+        }
+        syncBountyLock(target);
+        store.saveRequest(target);
+        refreshStatusBoardSoon(guildId);
+        if (bountyTargets(target).length > 1) await refreshBountyAnnouncement(interaction.guild, target);
 
         return interaction.reply({ content: "❌ Claim denied (bounty unlocked).", flags: 64 });
       }
+
+      // Mark Paid / Void on a claim approval log
+      if (interaction.customId.startsWith(CID.PAYOUT_PAID_PREFIX) || interaction.customId.startsWith(CID.PAYOUT_VOID_PREFIX)) {
+        if (!hasBotStaffRole(interaction.member)) { return denyNoRole(interaction); }
+
+        const paid = interaction.customId.startsWith(CID.PAYOUT_PAID_PREFIX);
+        const payoutId = interaction.customId.split(":")[1];
+        const payout = store.getPayout(guildId, payoutId);
+        if (!payout) return interaction.reply({ content: "Payout not found.", flags: 64 });
+        if (payout.status !== "owed") {
+          return interaction.reply({ content: `This payout is already **${payout.status}**.`, flags: 64 });
+        }
+
+        const before = cloneRecord(payout);
+        const changed = paid ? store.markPayoutPaid(payout.id, interaction.user.id) : store.voidPayout(payout.id, interaction.user.id);
+        if (!changed) return interaction.reply({ content: "This payout was already settled.", flags: 64 });
+        const after = store.getPayout(guildId, payout.id);
+        recordAudit(guildId, interaction.user.id, paid ? AUDIT.PAYOUT_PAID : AUDIT.PAYOUT_VOID, { payout: after, before });
+
+        // In a dashboard, re-render the claim so its nav row stays; on the log message, swap the status line.
+        const session = dashboardSessionOf(interaction);
+        if (session) {
+          session.touchedAt = Date.now();
+          await interaction.update(renderDashboardDetail(session, after.claimId, interaction.member));
+        } else {
+          const content = interaction.message.content.replace(/\n⏳ Payout owed:.*$/, "") + `\n${payoutStatusLine(after)}`;
+          await interaction.update({ content, components: [buildPayoutRow(after)] });
+        }
+
+        if (paid) {
+          await safeDmUser(bot, after.userId, `💰 Your bounty reward of **${fmtReward(after.amount)}** for **${escapeMd(after.tribeName || "a bounty")}** has been paid.`);
+        }
+        return;
+      }
+    }
+
+    // ---------- Select menus ----------
+    if (interaction.isStringSelectMenu() && interaction.customId.startsWith(CID.DASHBOARD_PREFIX)) {
+      const [, sessionId] = interaction.customId.split(":");
+      const session = dashboardSessions.get(sessionId);
+      if (!session || session.userId !== interaction.user.id) {
+        return interaction.reply({ content: "This dashboard has expired. Run the command again.", flags: 64 });
+      }
+      session.touchedAt = Date.now();
+      return interaction.update(renderDashboardDetail(session, interaction.values[0], interaction.member));
     }
 
     // ---------- Modal submits ----------
     if (interaction.type === InteractionType.ModalSubmit) {
-      if (interaction.customId === CID.APPLY_MODAL_25 || interaction.customId === CID.APPLY_MODAL_100) {
-        const is25 = interaction.customId === CID.APPLY_MODAL_25;
+      if (interaction.customId === CID.RULES_EDIT_MODAL) {
+        if (!hasBotStaffRole(interaction.member)) { return denyNoRole(interaction); }
+        const text = (interaction.fields.getTextInputValue("rules_text") || "").trim();
+        if (!text) return interaction.reply({ content: "Rules text can't be empty.", flags: 64 });
+
+        const previous = getCurrentRules(guildId);
+        if (text === previous.text) return interaction.reply({ content: "No changes — rules left at the current version.", flags: 64 });
+
+        const rules = store.addRulesVersion({ guildId, text, createdBy: interaction.user.id });
+        recordAudit(guildId, interaction.user.id, AUDIT.RULES_EDIT, { before: { version: previous.version }, after: { version: rules.version } });
+
+        const updated = await refreshRulesPanel(interaction.guild).catch(() => false);
+        return interaction.reply({
+          content:
+            `✅ Rules saved as **version ${rules.version}**. Members must accept again before applying.` +
+            (updated ? "" : "\n⚠️ Couldn't update the posted rules panel — run /setup to repost it."),
+          flags: 64,
+        });
+      }
+
+      if (interaction.customId.startsWith(CID.APPLY_MODAL_PREFIX) || interaction.customId in LEGACY_APPLY_SERVER_IDS) {
+        const server = findServer(guildId, applyServerIdFrom(interaction.customId, CID.APPLY_MODAL_PREFIX));
+        if (!server) return interaction.reply({ content: "That server no longer takes applications.", flags: 64 });
         const ign = (interaction.fields.getTextInputValue("ign") || "").trim();
         const tribe = (interaction.fields.getTextInputValue("tribe") || "").trim();
-        const map = (interaction.fields.getTextInputValue("map") || "").trim();
-
-        if (!ign || !tribe || !map) return interaction.reply({ content: "All fields required.", flags: 64 });
+        const mapInput = (interaction.fields.getTextInputValue("map") || "").trim();
 
-        // enforce 1 active per tribe
-        const existing = getActiveApprovedForTribe(tribe);
-        if (existing) return interaction.reply({ content: "That tribe already has an active White Flag.", flags: 64 });
+        if (!ign || !tribe || !mapInput) return interaction.reply({ content: "All fields required.", flags: 64 });
+        const map = matchServerMap(server, mapInput);
+        if (!map) return interaction.reply({ content: `Unknown map for **${escapeMd(server.name)}**. Choose one of: ${escapeMd(server.maps.join(", "))}.`, flags: 64 });
 
         const id = newRequestId();
         const record = {
           id,
+          guildId,
           status: "pending",
-          serverType: is25 ? "25x PVP" : "100x PVP Chaos",
+          serverId: server.id,
           ign,
           tribeName: tribe,
           map,
           requestedBy: interaction.user.id,
           requestedAt: Date.now(),
         };
-        requests[id] = record;
-        persistAll();
+
+        // Ineligible applications are kept (status auto_rejected) so admins can see who tried and why.
+        const ineligible = whiteFlagIneligibility(guildId, tribe, interaction.user.id);
+        if (ineligible) {
+          record.status = "auto_rejected";
+          record.autoRejectedAt = record.requestedAt;
+          record.autoRejectReason = ineligible;
+        }
+        store.saveRequest(record);
+        recordAudit(guildId, interaction.user.id, ineligible ? AUDIT.WF_AUTO_REJECT : AUDIT.WF_APPLY, { record });
+        ensureTribeFromRecord(record);
 
         const guild = interaction.guild;
-        const adminCh = await safeFetchChannel(guild, state.bountyClaimsChannelId || state.adminChannelId);
+        const adminCh = await safeFetchChannel(guild, cfg.bountyClaimsChannelId || cfg.adminChannelId);
+        if (ineligible) {
+          if (adminCh && isTextChannel(adminCh)) await adminCh.send({ embeds: [buildAdminReviewEmbed(record)] }).catch(() => null);
+          return interaction.reply({ content: `❌ Not eligible for a White Flag: ${ineligible}`, flags: 64 });
+        }
         if (adminCh && isTextChannel(adminCh)) {
-          const ping = state.adminRoleId ? `<@&${state.adminRoleId}> ` : "";
-          await adminCh.send({ content: ping, embeds: [buildAdminReviewEmbed(record)], components: [buildAdminReviewRow(id)] });
+          const ping = cfg.adminRoleId ? `<@&${cfg.adminRoleId}> ` : "";
+          const msg = await adminCh.send({ content: ping, embeds: [buildAdminReviewEmbed(record)], components: [buildAdminReviewRow(id)] });
+          record.adminChannelId = adminCh.id;
+          record.adminMessageId = msg.id;
+          store.saveRequest(record);
         }
 
         return interaction.reply({ content: "✅ Submitted. An admin will review it.", flags: 64 });
       }
 
+      if (interaction.customId.startsWith(CID.REPORT_SUBMIT_PREFIX)) {
+        const recordId = interaction.customId.split(":")[1];
+        const target = store.getRequest(guildId, recordId);
+        if (!target || !isApprovedAndActive(target)) return interaction.reply({ content: "That White Flag is no longer active.", flags: 64 });
+        return submitReport(interaction, target, {
+          evidence: (interaction.fields.getTextInputValue("evidence") || "").trim(),
+          map: (interaction.fields.getTextInputValue("map") || "").trim(),
+          time: (interaction.fields.getTextInputValue("time") || "").trim(),
+          details: (interaction.fields.getTextInputValue("details") || "").trim(),
+        });
+      }
+
+      if (interaction.customId.startsWith(CID.REPORT_ASK_INFO_MODAL_PREFIX)) {
+        if (!hasBotStaffRole(interaction.member)) { return denyNoRole(interaction); }
+        const report = store.getReport(guildId, interaction.customId.split(":")[1]);
+        if (!report) return interaction.reply({ content: "Report not found.", flags: 64 });
+        const question = (interaction.fields.getTextInputValue("question") || "").trim();
+
+        const before = cloneRecord(report);
+        report.status = "info_requested";
+        report.infoRequests = [...(report.infoRequests || []), { at: Date.now(), by: interaction.user.id, question }];
+        store.saveReport(report);
+        recordAudit(guildId, interaction.user.id, AUDIT.REPORT_INFO, { report, before });
+        await refreshReportMessage(interaction.guild, report);
+
+        const sent = await safeDmUser(
+          bot,
+          report.reportedBy,
+          `🚩 Admins need more info on your report about **${escapeMd(report.tribeName)}**:\n> ${escapeMd(question)}\n` +
+            `Reply with \`/report addinfo id:${report.id}\` in the server.`
+        );
+        return interaction.reply({ content: !sent ? "⚠️ Saved, but the reporter's DMs are closed." : "✅ Asked the reporter for more info.", flags: 64 });
+      }
+
       // bounty claim submit modal
       if (interaction.customId.startsWith(CID.BOUNTY_CLAIM_SUBMIT_PREFIX)) {
         const recordId = interaction.customId.split(":")[1];
-        requests = safeReadJson(REQUESTS_PATH, {});
-        claims = safeReadJson(CLAIMS_PATH, {});
-        const target = requests[recordId];
+        const target = store.getRequest(guildId, recordId);
         if (!target || !hasActiveBounty(target)) return interaction.reply({ content: "This bounty is no longer active.", flags: 64 });
-        if (target.bounty.locked) return interaction.reply({ content: "This bounty already has a pending claim under review.", flags: 64 });
+        if (!openBountyTargets(target).length) {
+          return interaction.reply({ content: "Every target on this bounty is already claimed or under review.", flags: 64 });
+        }
 
         const ign = (interaction.fields.getTextInputValue("ign") || "").trim();
         const bountyIgn = (interaction.fields.getTextInputValue("bounty_ign") || "").trim();
         const proof = (interaction.fields.getTextInputValue("proof") || "").trim();
         if (!ign || !bountyIgn || !proof) return interaction.reply({ content: "All fields required.", flags: 64 });
 
+        const bountyTarget = findOpenBountyTarget(target, bountyIgn);
+        if (!bountyTarget) {
+          const open = openBountyTargets(target).map((t) => t.ign).join(", ");
+          return interaction.reply({ content: `That IGN isn't an open target on this bounty. Open targets: ${escapeMd(open)}`, flags: 64 });
+        }
+
         const claimId = newClaimId();
+        const multi = bountyTargets(target).length > 1;
         const claim = {
           id: claimId,
+          guildId,
           bountyRecordId: target.id,
           tribeName: target.tribeName,
-          reward: BOUNTY_REWARD,
+          reward: bountyTarget.reward,
           submittedBy: interaction.user.id,
           submittedAt: Date.now(),
           claimantIgn: ign,
-          bountyTargetIgn: bountyIgn,
+          bountyTargetIgn: multi ? bountyTarget.ign : bountyIgn,
           proof,
           notes: "",
+          attachments: [],
           status: "pending",
         };
-        claims[claimId] = claim;
-        persistClaims();
-
-        target.bounty.locked = true;
-        target.bounty.lockedByClaimId = claimId;
-        requests[target.id] = target;
-        persistAll();
-
-        const adminCh = await safeFetchChannel(interaction.guild, state.bountyClaimsChannelId || state.adminChannelId);
-        if (adminCh && isTextChannel(adminCh)) {
-          const embed = new EmbedBuilder()
-            .setTitle("🎯 Bounty Claim Submitted")
-            .setDescription(
-              `Tribe: **${escapeMd(target.tribeName)}**\n` +
-                `Reward: **${BOUNTY_REWARD}**\n` +
-                `Submitted by: <@${interaction.user.id}>\n` +
-                `Claimant IGN: **${escapeMd(ign)}**\n` +
-                `Bounty Target IGN: **${escapeMd(bountyIgn)}**\n` +
-                `Proof: ${proof}\n` +
-                `Record ID: \`${target.id}\`\nClaim ID: \`${claimId}\``
-            );
-
-          const row = new ActionRowBuilder().addComponents(
-            new ButtonBuilder().setCustomId(`${CID.BOUNTY_CLAIM_APPROVE_PREFIX}${claimId}`).setLabel("Approve").setStyle(ButtonStyle.Success),
-            new ButtonBuilder().setCustomId(`${CID.BOUNTY_CLAIM_DENY_PREFIX}${claimId}`).setLabel("Deny").setStyle(ButtonStyle.Danger)
-          );
-
-          await adminCh.send({ embeds: [embed], components: [row] });
-        }
-
-        return interaction.reply({ content: "✅ Claim submitted for admin review.", flags: 64 });
+        const failed = await submitClaim(interaction.guild, interaction.user.id, target, bountyTarget, claim);
+        if (failed) return interaction.reply({ content: `❌ Couldn't post your claim for review: ${escapeMd(failed)}. The target is open again — please try again later.`, flags: 64 });
+
+        // Modals can't carry files, so point the hunter at the upload step.
+        return interaction.reply({
+          content:
+            "✅ Claim submitted for admin review.\n" +
+            `📎 Have screenshots or clips? Upload them with \`/bounty evidence id:${claimId}\` (up to 3 files at a time).`,
+          flags: 64,
+        });
       }
     }
   } catch (e) {
+    metrics.interactionsFailed++;
     console.error("interaction error:", e);
     try {
       if (interaction.isRepliable() && !interaction.replied && !interaction.deferred) {
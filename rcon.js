@@ -0,0 +1,144 @@
+// rcon.js — minimal Source RCON client (what ARK's RCON speaks) + a local stand-in server
+//
+// Client:   sendRconCommand({ host, port, password, timeoutMs }, "ServerChat hello") -> response text
+// Stand-in: node rcon.js standin [port] [password]
+//           Accepts the password, logs every command it receives and answers like ARK does.
+//           Point /config rcon at 127.0.0.1 and that port to try broadcasts without a game server.
+//
+// Packet: int32 size | int32 id | int32 type | body (ASCII) | 0x00 | 0x00, little-endian;
+// size counts everything after itself.
+
+const net = require("net");
+
+const TYPE = {
+  AUTH: 3,
+  AUTH_RESPONSE: 2,
+  EXEC: 2,
+  RESPONSE: 0,
+};
+const DEFAULT_TIMEOUT_MS = 5000;
+const AUTH_ID = 1;
+const EXEC_ID = 2;
+
+function encodePacket(id, type, body) {
+  const text = Buffer.from(String(body || ""), "utf8");
+  const buf = Buffer.alloc(14 + text.length);
+  buf.writeInt32LE(10 + text.length, 0);
+  buf.writeInt32LE(id, 4);
+  buf.writeInt32LE(type, 8);
+  text.copy(buf, 12);
+  return buf;
+}
+
+/** Pull complete packets off the front of buf; returns { packets, rest }. */
+function decodePackets(buf) {
+  const packets = [];
+  let offset = 0;
+  while (buf.length - offset >= 4) {
+    const size = buf.readInt32LE(offset);
+    if (size < 10) throw new Error(`bad RCON packet size ${size}`);
+    if (buf.length - offset < 4 + size) break;
+    packets.push({
+      id: buf.readInt32LE(offset + 4),
+      type: buf.readInt32LE(offset + 8),
+      body: buf.toString("utf8", offset + 12, offset + 4 + size - 2),
+    });
+    offset += 4 + size;
+  }
+  return { packets, rest: buf.subarray(offset) };
+}
+
+/**
+ * Connect, authenticate, run one command and disconnect.
+ * Rejects on connection errors, a wrong password or when the server doesn't answer within timeoutMs.
+ */
+function sendRconCommand({ host, port, password, timeoutMs = DEFAULT_TIMEOUT_MS }, command) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let pending = Buffer.alloc(0);
+    let authed = false;
+    let settled = false;
+
+    const finish = (err, value) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (err) reject(err);
+      else resolve(value);
+    };
+
+    socket.setTimeout(timeoutMs, () => finish(new Error(`RCON ${host}:${port} timed out`)));
+    socket.on("error", (e) => finish(e));
+    socket.on("close", () => finish(new Error(`RCON ${host}:${port} closed the connection`)));
+    socket.on("connect", () => socket.write(encodePacket(AUTH_ID, TYPE.AUTH, password)));
+    socket.on("data", (chunk) => {
+      let decoded;
+      try {
+        decoded = decodePackets(Buffer.concat([pending, chunk]));
+      } catch (e) {
+        return finish(e);
+      }
+      pending = decoded.rest;
+      for (const p of decoded.packets) {
+        if (!authed) {
+          // Source servers send an empty RESPONSE before the AUTH_RESPONSE; ARK sends only the latter.
+          if (p.type !== TYPE.AUTH_RESPONSE) continue;
+          if (p.id === -1) return finish(new Error(`RCON ${host}:${port} rejected the password`));
+          authed = true;
+          socket.write(encodePacket(EXEC_ID, TYPE.EXEC, command));
+        } else if (p.id === EXEC_ID && p.type === TYPE.RESPONSE) {
+          return finish(null, p.body.trim());
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Local stand-in for a game server's RCON port.
+ * onCommand(command) may return the response text; every command is also kept in server.commands.
+ */
+function createStandInServer({ password, onCommand = () => "Server received, But no response!! " } = {}) {
+  const server = net.createServer((socket) => {
+    let pending = Buffer.alloc(0);
+    let authed = false;
+    socket.on("error", () => socket.destroy());
+    socket.on("data", async (chunk) => {
+      let decoded;
+      try {
+        decoded = decodePackets(Buffer.concat([pending, chunk]));
+      } catch {
+        return socket.destroy();
+      }
+      pending = decoded.rest;
+      for (const p of decoded.packets) {
+        if (p.type === TYPE.AUTH) {
+          authed = p.body === password;
+          socket.write(encodePacket(authed ? p.id : -1, TYPE.AUTH_RESPONSE, ""));
+        } else if (p.type === TYPE.EXEC && authed) {
+          server.commands.push(p.body);
+          const reply = await onCommand(p.body);
+          socket.write(encodePacket(p.id, TYPE.RESPONSE, reply ?? ""));
+        } else {
+          socket.destroy();
+        }
+      }
+    });
+  });
+  server.commands = [];
+  return server;
+}
+
+if (require.main === module && process.argv[2] === "standin") {
+  const port = Number(process.argv[3] || 27020);
+  const password = process.argv[4] || "standin";
+  createStandInServer({
+    password,
+    onCommand: (command) => {
+      console.log(`[rcon] ${command}`);
+      return "Server received, But no response!! ";
+    },
+  }).listen(port, () => console.log(`✅ RCON stand-in listening on ${port} (password: ${password})`));
+}
+
+module.exports = { sendRconCommand, createStandInServer, encodePacket, decodePackets };
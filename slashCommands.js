@@ -0,0 +1,522 @@
+// slashCommands.js — Slash command definitions for EXODUS OVERSEER (Discord.js v14)
+//
+// Single source of truth for the command schema. Used by:
+//   - commands.js (manual registration: `npm run register`)
+//   - index.js    (registration on startup)
+//
+// syncCommands() compares what Discord has deployed with the local definitions
+// and only re-registers when they differ.
+
+const { Routes, SlashCommandBuilder } = require("discord.js");
+
+// Servers are configured per guild (/config servers), so "server" options autocomplete instead of fixed choices.
+const SERVER_BUTTON_STYLE_CHOICES = ["primary", "secondary", "success", "danger"];
+const RCON_EVENT_CHOICES = [
+  "whiteflag.approved",
+  "whiteflag.expired",
+  "whiteflag.ended_early",
+  "bounty.issued",
+  "bounty.claimed",
+  "bounty.canceled",
+  "bounty.expired",
+];
+
+function addServerOption(sc, { required = false, description = "Server" } = {}) {
+  return sc.addStringOption((o) => o.setName("server").setDescription(description).setRequired(required).setAutocomplete(true));
+}
+
+// Shared options for /whiteflag extend|shorten
+function addAdjustOptions(sc) {
+  return sc
+    .addStringOption((o) => o.setName("tribe").setDescription("Tribe name").setRequired(false).setAutocomplete(true))
+    .addStringOption((o) => o.setName("id").setDescription("White Flag record ID").setRequired(false).setAutocomplete(true))
+    .addIntegerOption((o) => o.setName("days").setDescription("Days").setRequired(false).setMinValue(0).setMaxValue(90))
+    .addIntegerOption((o) => o.setName("hours").setDescription("Hours").setRequired(false).setMinValue(0).setMaxValue(720));
+}
+
+// Shared filter options for the paged dashboards (/whiteflags active, /bounties active, /admin ...)
+function addDashboardFilters(sc, { admin = false } = {}) {
+  addServerOption(sc).addStringOption((o) => o.setName("tribe").setDescription("Tribe name contains").setRequired(false));
+  if (!admin) return sc;
+  return sc
+    .addStringOption((o) => o.setName("since").setDescription("From date (YYYY-MM-DD)").setRequired(false))
+    .addStringOption((o) => o.setName("until").setDescription("Until date (YYYY-MM-DD)").setRequired(false))
+    .addUserOption((o) => o.setName("admin").setDescription("Reviewed by this admin").setRequired(false));
+}
+
+function buildCommands() {
+  return [
+    new SlashCommandBuilder()
+      .setName("setup")
+      .setDescription("Post rules + apply panels and configure channels/roles for White Flag.")
+      .addChannelOption((o) => o.setName("rules_channel").setDescription("Rules channel").setRequired(true))
+      .addChannelOption((o) => o.setName("apply_channel").setDescription("Apply channel").setRequired(true))
+      .addChannelOption((o) => o.setName("admin_channel").setDescription("Admin review channel").setRequired(true))
+      .addChannelOption((o) => o.setName("announce_channel").setDescription("Announcements channel").setRequired(true))
+      .addRoleOption((o) => o.setName("admin_role").setDescription("Admin role").setRequired(true))
+      .addRoleOption((o) => o.setName("open_season_role").setDescription("Role pinged when a bounty is issued (optional)").setRequired(false))
+      .addChannelOption((o) => o.setName("bounty_claims_channel").setDescription("Channel for bounty claim admin logs (optional)").setRequired(false))
+      .addChannelOption((o) => o.setName("bounty_channel").setDescription("Bounty channel (optional)").setRequired(false))
+      .addBooleanOption((o) =>
+        o.setName("status_board").setDescription("Post a self-updating board of protected tribes and bounties in the announce channel").setRequired(false)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("rules")
+      .setDescription("White Flag rules.")
+      .addSubcommand((sc) => sc.setName("show").setDescription("Show the White Flag rules (ephemeral)."))
+      .addSubcommand((sc) => sc.setName("edit").setDescription("Edit the rules; saves a new version and requires re-acceptance (admin).")),
+
+    new SlashCommandBuilder()
+      .setName("whiteflags")
+      .setDescription("White Flag utilities.")
+      .addSubcommand((sc) => addDashboardFilters(sc.setName("active").setDescription("Show all approved and active White Flags."))),
+
+    new SlashCommandBuilder()
+      .setName("whiteflag")
+      .setDescription("Adjust White Flag protection (admin).")
+      .addSubcommand((sc) => addAdjustOptions(sc.setName("extend").setDescription("Extend an active White Flag.")))
+      .addSubcommand((sc) => addAdjustOptions(sc.setName("shorten").setDescription("Shorten an active White Flag.")))
+      .addSubcommand((sc) =>
+        addServerOption(sc.setName("duration").setDescription("Show or set the default White Flag length for a server."), { required: true })
+          .addNumberOption((o) => o.setName("days").setDescription("New default length in days (omit to show)").setRequired(false).setMinValue(0.5).setMaxValue(90))
+      ),
+
+    new SlashCommandBuilder()
+      .setName("bounties")
+      .setDescription("Bounty utilities.")
+      .addSubcommand((sc) => addDashboardFilters(sc.setName("active").setDescription("Show all active bounties."))),
+
+    new SlashCommandBuilder()
+      .setName("bounty")
+      .setDescription("Create, remove, claim, or check bounties.")
+      .addSubcommand((sc) =>
+        sc
+          .setName("add")
+          .setDescription("Add/refresh a bounty for a tribe (1 week).")
+          .addStringOption((opt) => opt.setName("tribe").setDescription("Tribe name").setRequired(true))
+          .addStringOption((opt) => opt.setName("ign").setDescription("Target IGN(s), comma-separated for a whole-tribe bounty").setRequired(false))
+          .addStringOption((opt) => opt.setName("server").setDescription("Server (optional)").setRequired(false).setAutocomplete(true))
+          .addStringOption((opt) => opt.setName("reason").setDescription("Reason (optional)").setRequired(false))
+          .addIntegerOption((opt) =>
+            opt.setName("reward").setDescription("Reward in tokens (default: server default + escalation)").setRequired(false).setMinValue(0)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("remove")
+          .setDescription("Remove an active bounty by tribe or by ID.")
+          .addStringOption((opt) => opt.setName("tribe").setDescription("Tribe name").setRequired(false).setAutocomplete(true))
+          .addStringOption((opt) => opt.setName("id").setDescription("Bounty record ID").setRequired(false).setAutocomplete(true))
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("claim")
+          .setDescription("Submit a bounty claim (admin review).")
+          .addStringOption((opt) => opt.setName("tribe").setDescription("Bounty target tribe").setRequired(true).setAutocomplete(true))
+          .addStringOption((opt) => opt.setName("ign").setDescription("Your IGN").setRequired(true))
+          .addStringOption((opt) => opt.setName("bounty_ign").setDescription("Bounty target IGN").setRequired(true))
+          .addStringOption((opt) => opt.setName("proof").setDescription("Proof link/text (or attach files)").setRequired(false))
+          .addStringOption((opt) => opt.setName("notes").setDescription("Optional notes").setRequired(false))
+          .addAttachmentOption((opt) => opt.setName("evidence1").setDescription("Screenshot/clip").setRequired(false))
+          .addAttachmentOption((opt) => opt.setName("evidence2").setDescription("Screenshot/clip").setRequired(false))
+          .addAttachmentOption((opt) => opt.setName("evidence3").setDescription("Screenshot/clip").setRequired(false))
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("evidence")
+          .setDescription("Upload screenshots/clips to one of your pending claims.")
+          .addStringOption((opt) => opt.setName("id").setDescription("Claim ID").setRequired(true).setAutocomplete(true))
+          .addAttachmentOption((opt) => opt.setName("file1").setDescription("Screenshot/clip").setRequired(true))
+          .addAttachmentOption((opt) => opt.setName("file2").setDescription("Screenshot/clip").setRequired(false))
+          .addAttachmentOption((opt) => opt.setName("file3").setDescription("Screenshot/clip").setRequired(false))
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("status")
+          .setDescription("Check bounty status by tribe or id")
+          .addStringOption((o) => o.setName("tribe").setDescription("Tribe name").setRequired(false).setAutocomplete(true))
+          .addStringOption((o) => o.setName("id").setDescription("Record id").setRequired(false).setAutocomplete(true))
+      ),
+
+    new SlashCommandBuilder()
+      .setName("report")
+      .setDescription("Report White Flag abuse by a protected tribe.")
+      .addSubcommand((sc) =>
+        sc
+          .setName("submit")
+          .setDescription("Report a protected tribe to the admins.")
+          .addStringOption((o) => o.setName("tribe").setDescription("Protected tribe").setRequired(true).setAutocomplete(true))
+          .addStringOption((o) => o.setName("evidence").setDescription("Evidence links (clips/screenshots)").setRequired(true))
+          .addStringOption((o) => o.setName("map").setDescription("Map").setRequired(false))
+          .addStringOption((o) => o.setName("time").setDescription("When it happened").setRequired(false))
+          .addStringOption((o) => o.setName("details").setDescription("What happened").setRequired(false))
+          .addAttachmentOption((o) => o.setName("file1").setDescription("Screenshot/clip").setRequired(false))
+          .addAttachmentOption((o) => o.setName("file2").setDescription("Screenshot/clip").setRequired(false))
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("addinfo")
+          .setDescription("Add information to one of your reports.")
+          .addStringOption((o) => o.setName("id").setDescription("Report ID").setRequired(true).setAutocomplete(true))
+          .addStringOption((o) => o.setName("info").setDescription("Extra information or evidence links").setRequired(true))
+      ),
+
+    new SlashCommandBuilder()
+      .setName("tribe")
+      .setDescription("Tribe registry.")
+      .addSubcommand((sc) =>
+        sc
+          .setName("info")
+          .setDescription("Show a tribe's aliases, members and White Flag/bounty/claim history.")
+          .addStringOption((o) => o.setName("tribe").setDescription("Tribe name or alias").setRequired(true).setAutocomplete(true))
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("rename")
+          .setDescription("Rename a tribe; the old name stays as an alias (admin).")
+          .addStringOption((o) => o.setName("tribe").setDescription("Current tribe name or alias").setRequired(true).setAutocomplete(true))
+          .addStringOption((o) => o.setName("name").setDescription("New canonical name").setRequired(true))
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("merge")
+          .setDescription("Merge a duplicate tribe into another (admin).")
+          .addStringOption((o) => o.setName("from").setDescription("Duplicate tribe (removed)").setRequired(true).setAutocomplete(true))
+          .addStringOption((o) => o.setName("into").setDescription("Tribe to keep").setRequired(true).setAutocomplete(true))
+      ),
+
+    new SlashCommandBuilder()
+      .setName("leaderboard")
+      .setDescription("Top bounty hunters by approved claims and rewards.")
+      .addStringOption((o) =>
+        o
+          .setName("period")
+          .setDescription("Time range (default: season)")
+          .setRequired(false)
+          .addChoices({ name: "week", value: "week" }, { name: "season", value: "season" }, { name: "all time", value: "all" })
+      )
+      .addStringOption((o) => o.setName("server").setDescription("Server").setRequired(false).setAutocomplete(true))
+      .addStringOption((o) =>
+        o
+          .setName("sort")
+          .setDescription("Rank by (default: claims)")
+          .setRequired(false)
+          .addChoices({ name: "approved claims", value: "claims" }, { name: "total rewards", value: "rewards" })
+      ),
+
+    new SlashCommandBuilder()
+      .setName("profile")
+      .setDescription("Show a bounty hunter's claim history and approval rate.")
+      .addUserOption((o) => o.setName("user").setDescription("Member (default: you)").setRequired(false)),
+
+    new SlashCommandBuilder()
+      .setName("balance")
+      .setDescription("Show bounty rewards owed and paid out.")
+      .addUserOption((o) => o.setName("user").setDescription("Member to check (staff only; default: you)").setRequired(false)),
+
+    new SlashCommandBuilder()
+      .setName("config")
+      .setDescription("Server configuration (admin).")
+      .addSubcommand((sc) =>
+        sc
+          .setName("rewards")
+          .setDescription("Show or set bounty reward defaults and escalation.")
+          .addIntegerOption((o) => o.setName("base").setDescription("Default reward in tokens").setRequired(false).setMinValue(0))
+          .addIntegerOption((o) =>
+            o.setName("escalation_step").setDescription("Extra tokens per prior bounty/early termination").setRequired(false).setMinValue(0)
+          )
+          .addIntegerOption((o) => o.setName("escalation_max").setDescription("Maximum reward in tokens (0 = no cap)").setRequired(false).setMinValue(0))
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("eligibility")
+          .setDescription("Show or set which history checks block White Flag applications.")
+          .addBooleanOption((o) => o.setName("past_flags").setDescription("Block tribes that had a White Flag before").setRequired(false))
+          .addBooleanOption((o) => o.setName("ended_early").setDescription("Block tribes whose flag was ended early").setRequired(false))
+          .addBooleanOption((o) => o.setName("active_bounty").setDescription("Block tribes with an active bounty").setRequired(false))
+          .addBooleanOption((o) => o.setName("one_open_per_user").setDescription("Only one pending application per member").setRequired(false))
+          .addNumberOption((o) =>
+            o.setName("denial_cooldown_days").setDescription("Days before a denied tribe can reapply (0 = none)").setRequired(false).setMinValue(0).setMaxValue(365)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("claims")
+          .setDescription("Show or set pending-claim reminders, lock timeout and bounty extension.")
+          .addStringOption((o) => o.setName("reminder_hours").setDescription("Hours after submission, e.g. 2,8,24 (0 = none)").setRequired(false))
+          .addNumberOption((o) => o.setName("lock_timeout_hours").setDescription("Hours before a pending claim times out (0 = never)").setRequired(false).setMinValue(0).setMaxValue(720))
+          .addStringOption((o) =>
+            o
+              .setName("timeout_action")
+              .setDescription("What happens at the timeout")
+              .setRequired(false)
+              .addChoices({ name: "release the target", value: "release" }, { name: "escalate to admins", value: "escalate" })
+          )
+          .addNumberOption((o) => o.setName("extension_hours").setDescription("Extend a bounty this long if a claim is pending at expiry (0 = off)").setRequired(false).setMinValue(0).setMaxValue(168))
+      )
+      .addSubcommand((sc) =>
+        addServerOption(sc.setName("rcon").setDescription("Show or set the RCON connection used to mirror events in game for a server."), { required: true })
+          .addStringOption((o) => o.setName("host").setDescription("RCON host").setRequired(false))
+          .addIntegerOption((o) => o.setName("port").setDescription("RCON port").setRequired(false).setMinValue(1).setMaxValue(65535))
+          .addStringOption((o) => o.setName("password").setDescription("RCON (admin) password").setRequired(false))
+          .addBooleanOption((o) => o.setName("clear").setDescription("Turn RCON off for this server").setRequired(false))
+          .addBooleanOption((o) => o.setName("test").setDescription("Send a test chat message").setRequired(false))
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("rcon_message")
+          .setDescription("Show or set the in-game command sent for an event.")
+          .addStringOption((o) =>
+            o
+              .setName("event")
+              .setDescription("Event")
+              .setRequired(true)
+              .addChoices(...RCON_EVENT_CHOICES.map((e) => ({ name: e, value: e })))
+          )
+          .addStringOption((o) => o.setName("template").setDescription("e.g. ServerChat Bounty on {tribe}! (off = disable, default = reset)").setRequired(false))
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("digest")
+          .setDescription("Show or set the daily admin digest (pending reviews, expiring flags, bounties).")
+          .addBooleanOption((o) => o.setName("enabled").setDescription("Post the digest every day").setRequired(false))
+          .addStringOption((o) => o.setName("time").setDescription("Local time, 24h (e.g. 09:00)").setRequired(false))
+          .addStringOption((o) => o.setName("timezone").setDescription("IANA time zone (e.g. Europe/Berlin)").setRequired(false))
+          .addBooleanOption((o) => o.setName("preview").setDescription("Show today's digest now (only to you)").setRequired(false))
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("season")
+          .setDescription("Show or set when the current leaderboard season started.")
+          .addStringOption((o) => o.setName("start").setDescription("Season start (YYYY-MM-DD or now; omit to show)").setRequired(false))
+      )
+      .addSubcommandGroup((g) =>
+        g
+          .setName("servers")
+          .setDescription("Game servers offered on the apply panel")
+          .addSubcommand((sc) =>
+            sc
+              .setName("add")
+              .setDescription("Add a server, or update the one with this id")
+              .addStringOption((o) => o.setName("id").setDescription("Stable id stored on records, e.g. 25x (can't be changed later)").setRequired(true).setMaxLength(20))
+              .addStringOption((o) => o.setName("name").setDescription("Display name, e.g. 25x PVP (required for a new server)").setRequired(false).setMaxLength(60))
+              .addStringOption((o) => o.setName("label").setDescription("Apply button label (default: 🏳️ Apply — <name>)").setRequired(false).setMaxLength(80))
+              .addStringOption((o) =>
+                o
+                  .setName("style")
+                  .setDescription("Apply button color")
+                  .setRequired(false)
+                  .addChoices(...SERVER_BUTTON_STYLE_CHOICES.map((s) => ({ name: s, value: s })))
+              )
+              .addStringOption((o) => o.setName("maps").setDescription("Allowed maps, comma-separated (none = any map)").setRequired(false))
+              .addNumberOption((o) => o.setName("duration_days").setDescription("Default White Flag length in days").setRequired(false).setMinValue(0.5).setMaxValue(90))
+          )
+          .addSubcommand((sc) => addServerOption(sc.setName("remove").setDescription("Remove a server from the apply panel"), { required: true }))
+          .addSubcommand((sc) => sc.setName("list").setDescription("List servers"))
+      ),
+
+    new SlashCommandBuilder()
+      .setName("admin")
+      .setDescription("Admin dashboards.")
+      .addSubcommand((sc) =>
+        addDashboardFilters(
+          sc
+            .setName("whiteflags")
+            .setDescription("Browse White Flag applications")
+            .addStringOption((o) =>
+              o
+                .setName("filter")
+                .setDescription("Status (default: pending)")
+                .setRequired(false)
+                .addChoices(
+                  { name: "pending", value: "pending" },
+                  { name: "active", value: "active" },
+                  { name: "expired", value: "expired" },
+                  { name: "denied", value: "denied" },
+                  { name: "auto-rejected", value: "auto_rejected" },
+                  { name: "ended early", value: "ended_early" },
+                  { name: "all", value: "all" }
+                )
+            ),
+          { admin: true }
+        )
+      )
+      .addSubcommand((sc) =>
+        addDashboardFilters(
+          sc
+            .setName("bounties")
+            .setDescription("Browse bounties")
+            .addStringOption((o) =>
+              o
+                .setName("filter")
+                .setDescription("Status (default: active)")
+                .setRequired(false)
+                .addChoices(
+                  { name: "active", value: "active" },
+                  { name: "claimed", value: "claimed" },
+                  { name: "removed", value: "removed" },
+                  { name: "expired", value: "expired" },
+                  { name: "all", value: "all" }
+                )
+            ),
+          { admin: true }
+        )
+      )
+      .addSubcommand((sc) =>
+        addDashboardFilters(
+          sc
+            .setName("claims")
+            .setDescription("Browse bounty claims")
+            .addStringOption((o) =>
+              o
+                .setName("filter")
+                .setDescription("Status (default: pending)")
+                .setRequired(false)
+                .addChoices(
+                  { name: "pending", value: "pending" },
+                  { name: "approved", value: "approved" },
+                  { name: "denied", value: "denied" },
+                  { name: "timed out", value: "timed_out" },
+                  { name: "failed to post", value: "failed" },
+                  { name: "all", value: "all" }
+                )
+            ),
+          { admin: true }
+        )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("reports")
+          .setDescription("List violation reports")
+          .addStringOption((o) =>
+            o
+              .setName("filter")
+              .setDescription("open|dismissed|actioned|all")
+              .setRequired(false)
+              .addChoices(
+                { name: "open", value: "open" },
+                { name: "dismissed", value: "dismissed" },
+                { name: "actioned", value: "actioned" },
+                { name: "all", value: "all" }
+              )
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("payouts")
+          .setDescription("List bounty reward payouts (default: owed)")
+          .addStringOption((o) =>
+            o
+              .setName("status")
+              .setDescription("owed|paid|voided|all")
+              .setRequired(false)
+              .addChoices(
+                { name: "owed", value: "owed" },
+                { name: "paid", value: "paid" },
+                { name: "voided", value: "voided" },
+                { name: "all", value: "all" }
+              )
+          )
+          .addUserOption((o) => o.setName("user").setDescription("Claimant").setRequired(false))
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("audit")
+          .setDescription("Search the audit log of approvals, denials, bounties and claims")
+          .addStringOption((o) => o.setName("tribe").setDescription("Tribe name").setRequired(false).setAutocomplete(true))
+          .addUserOption((o) => o.setName("user").setDescription("Who performed the action").setRequired(false))
+          .addStringOption((o) => o.setName("action").setDescription("Action (e.g. wf.approve) or category (e.g. bounty)").setRequired(false))
+          .addStringOption((o) => o.setName("since").setDescription("From date (YYYY-MM-DD)").setRequired(false))
+          .addStringOption((o) => o.setName("until").setDescription("Until date (YYYY-MM-DD, inclusive)").setRequired(false))
+          .addIntegerOption((o) => o.setName("limit").setDescription("Max entries (default 20)").setRequired(false).setMinValue(1).setMaxValue(50))
+      )
+      .addSubcommandGroup((g) =>
+        g
+          .setName("webhooks")
+          .setDescription("Outbound webhooks for White Flag and bounty events")
+          .addSubcommand((sc) =>
+            sc
+              .setName("add")
+              .setDescription("Add a webhook endpoint (the signing secret is shown once)")
+              .addStringOption((o) => o.setName("url").setDescription("https:// endpoint").setRequired(true))
+              .addStringOption((o) => o.setName("events").setDescription("Comma-separated, e.g. bounty.issued,whiteflag.approved (default: all)").setRequired(false))
+          )
+          .addSubcommand((sc) =>
+            sc
+              .setName("remove")
+              .setDescription("Remove a webhook")
+              .addStringOption((o) => o.setName("id").setDescription("Webhook ID").setRequired(true))
+          )
+          .addSubcommand((sc) =>
+            sc
+              .setName("test")
+              .setDescription("Send a signed ping to a webhook")
+              .addStringOption((o) => o.setName("id").setDescription("Webhook ID").setRequired(true))
+          )
+          .addSubcommand((sc) =>
+            sc
+              .setName("list")
+              .setDescription("List webhooks and recent deliveries")
+              .addStringOption((o) => o.setName("id").setDescription("Only this webhook's deliveries").setRequired(false))
+          )
+      ),
+  ].map((c) => c.toJSON());
+}
+
+// -------------------- Drift check --------------------
+// Discord echoes commands back with ids, versions and defaults filled in;
+// reduce both sides to the fields we define before comparing.
+function normalizeOption(o) {
+  const out = {
+    type: o.type,
+    name: o.name,
+    description: o.description || "",
+    required: Boolean(o.required),
+    autocomplete: Boolean(o.autocomplete),
+  };
+  if (Array.isArray(o.choices) && o.choices.length) out.choices = o.choices.map((c) => ({ name: c.name, value: c.value }));
+  if (Array.isArray(o.channel_types) && o.channel_types.length) out.channel_types = [...o.channel_types].sort();
+  for (const key of ["min_value", "max_value", "min_length", "max_length"]) {
+    if (o[key] !== undefined && o[key] !== null) out[key] = o[key];
+  }
+  if (Array.isArray(o.options) && o.options.length) out.options = o.options.map(normalizeOption);
+  return out;
+}
+
+function normalizeCommand(c) {
+  return {
+    name: c.name,
+    type: c.type || 1,
+    description: c.description || "",
+    default_member_permissions: c.default_member_permissions ?? null,
+    options: (c.options || []).map(normalizeOption),
+  };
+}
+
+function commandsDiffer(deployed, local) {
+  const norm = (list) =>
+    JSON.stringify(
+      (list || [])
+        .map(normalizeCommand)
+        .sort((a, b) => a.name.localeCompare(b.name))
+    );
+  return norm(deployed) !== norm(local);
+}
+
+/**
+ * Register commands for one guild (or globally when guildId is null) if the
+ * deployed set differs from buildCommands(). Returns true when it registered.
+ */
+async function syncCommands(rest, { clientId, guildId = null, force = false }) {
+  const route = guildId ? Routes.applicationGuildCommands(clientId, guildId) : Routes.applicationCommands(clientId);
+  const local = buildCommands();
+  if (!force) {
+    const deployed = await rest.get(route);
+    if (!commandsDiffer(deployed, local)) return false;
+  }
+  await rest.put(route, { body: local });
+  return true;
+}
+
+module.exports = { buildCommands, commandsDiffer, syncCommands };
@@ -0,0 +1,907 @@
+// storage.js — SQLite repository for EXODUS OVERSEER (better-sqlite3)
+//
+// One embedded database file in DATA_DIR. Records keep their full JSON in a `data`
+// column; the columns next to it exist only so lookups don't need a full scan.
+//
+// Tables:
+//   meta          key/value flags (e.g. when the JSON files were imported)
+//   guild_config  per-guild channel/role/message ids
+//   requests      White Flag applications and bounty records
+//   claims        bounty claims
+//   reports       player violation reports against protected tribes
+//   jobs          scheduled work (expiries, warnings), one row per (type, record)
+//   audit_log     append-only history of state transitions (never updated or deleted)
+//   rules_versions        numbered rules texts per guild
+//   rules_acceptances     who accepted which rules version, and when
+//   payouts       reward ledger for approved claims (owed -> paid | voided)
+//   tribes        tribe registry: canonical name, aliases, linked users/IGNs, server
+//   tribe_aliases normalized name -> tribe, so every alias finds the same records
+//   webhooks      outbound webhook endpoints per guild (url, signing secret, subscribed events)
+//   webhook_deliveries  one row per event sent to an endpoint (pending -> delivered | failed)
+
+const Database = require("better-sqlite3");
+
+// Records from the old single-guild layout that can't be attributed to a guild end up here.
+const UNASSIGNED_GUILD = "unassigned";
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key   TEXT PRIMARY KEY,
+  value TEXT
+);
+
+CREATE TABLE IF NOT EXISTS guild_config (
+  guild_id   TEXT PRIMARY KEY,
+  data       TEXT NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS requests (
+  id         TEXT PRIMARY KEY,
+  guild_id   TEXT NOT NULL,
+  tribe_key  TEXT,
+  status     TEXT,
+  data       TEXT NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS requests_guild_tribe ON requests (guild_id, tribe_key);
+CREATE INDEX IF NOT EXISTS requests_guild_status ON requests (guild_id, status);
+
+CREATE TABLE IF NOT EXISTS claims (
+  id               TEXT PRIMARY KEY,
+  guild_id         TEXT NOT NULL,
+  bounty_record_id TEXT,
+  status           TEXT,
+  data             TEXT NOT NULL,
+  updated_at       INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS claims_guild_status ON claims (guild_id, status);
+CREATE INDEX IF NOT EXISTS claims_record ON claims (bounty_record_id);
+
+CREATE TABLE IF NOT EXISTS reports (
+  id         TEXT PRIMARY KEY,
+  guild_id   TEXT NOT NULL,
+  record_id  TEXT,
+  status     TEXT,
+  data       TEXT NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS reports_guild_status ON reports (guild_id, status);
+CREATE INDEX IF NOT EXISTS reports_record ON reports (record_id);
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id   TEXT NOT NULL,
+  type       TEXT NOT NULL,
+  record_id  TEXT NOT NULL,
+  due_at     INTEGER NOT NULL,
+  attempts   INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  failed_at  INTEGER,
+  created_at INTEGER NOT NULL,
+  UNIQUE (type, record_id)
+);
+CREATE INDEX IF NOT EXISTS jobs_due ON jobs (failed_at, due_at);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id   TEXT NOT NULL,
+  at         INTEGER NOT NULL,
+  actor_id   TEXT,
+  action     TEXT NOT NULL,
+  record_id  TEXT,
+  claim_id   TEXT,
+  tribe_key  TEXT,
+  tribe_name TEXT,
+  before     TEXT,
+  after      TEXT
+);
+CREATE INDEX IF NOT EXISTS audit_guild_at ON audit_log (guild_id, at);
+CREATE INDEX IF NOT EXISTS audit_guild_tribe ON audit_log (guild_id, tribe_key);
+
+CREATE TABLE IF NOT EXISTS rules_versions (
+  guild_id   TEXT NOT NULL,
+  version    INTEGER NOT NULL,
+  text       TEXT NOT NULL,
+  created_by TEXT,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, version)
+);
+
+CREATE TABLE IF NOT EXISTS rules_acceptances (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id    TEXT NOT NULL,
+  user_id     TEXT NOT NULL,
+  version     INTEGER NOT NULL,
+  accepted_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS rules_acceptances_user ON rules_acceptances (guild_id, user_id, version);
+
+CREATE TABLE IF NOT EXISTS payouts (
+  id             TEXT PRIMARY KEY,
+  guild_id       TEXT NOT NULL,
+  claim_id       TEXT NOT NULL UNIQUE,
+  record_id      TEXT,
+  tribe_name     TEXT,
+  user_id        TEXT NOT NULL,
+  amount         INTEGER NOT NULL,
+  status         TEXT NOT NULL DEFAULT 'owed',
+  created_at     INTEGER NOT NULL,
+  paid_at        INTEGER,
+  paid_by        TEXT,
+  voided_at      INTEGER,
+  voided_by      TEXT,
+  log_channel_id TEXT,
+  log_message_id TEXT
+);
+CREATE INDEX IF NOT EXISTS payouts_guild_status ON payouts (guild_id, status);
+CREATE INDEX IF NOT EXISTS payouts_guild_user ON payouts (guild_id, user_id);
+
+CREATE TABLE IF NOT EXISTS tribes (
+  id         TEXT PRIMARY KEY,
+  guild_id   TEXT NOT NULL,
+  data       TEXT NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS tribes_guild ON tribes (guild_id);
+
+CREATE TABLE IF NOT EXISTS tribe_aliases (
+  guild_id  TEXT NOT NULL,
+  alias_key TEXT NOT NULL,
+  tribe_id  TEXT NOT NULL,
+  PRIMARY KEY (guild_id, alias_key)
+);
+CREATE INDEX IF NOT EXISTS tribe_aliases_tribe ON tribe_aliases (tribe_id);
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id         TEXT PRIMARY KEY,
+  guild_id   TEXT NOT NULL,
+  url        TEXT NOT NULL,
+  secret     TEXT NOT NULL,
+  events     TEXT NOT NULL,
+  created_by TEXT,
+  created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS webhooks_guild ON webhooks (guild_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id     TEXT NOT NULL,
+  webhook_id   TEXT NOT NULL,
+  event        TEXT NOT NULL,
+  payload      TEXT NOT NULL,
+  status       TEXT NOT NULL DEFAULT 'pending',
+  attempts     INTEGER NOT NULL DEFAULT 0,
+  last_status  INTEGER,
+  last_error   TEXT,
+  created_at   INTEGER NOT NULL,
+  delivered_at INTEGER
+);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_hook ON webhook_deliveries (webhook_id, id);
+`;
+
+function parseRow(row) {
+  if (!row) return null;
+  try {
+    return JSON.parse(row.data);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a WHERE clause from the filter keys that are set.
+ * columns maps filter key -> column name.
+ */
+function whereFrom(filter, columns) {
+  const parts = [];
+  const params = {};
+  for (const [key, column] of Object.entries(columns)) {
+    if (filter[key] === undefined || filter[key] === null) continue;
+    parts.push(`${column} = @${key}`);
+    params[key] = filter[key];
+  }
+  return { sql: parts.length ? `WHERE ${parts.join(" AND ")}` : "", params };
+}
+
+/**
+ * Open (or create) the database at filePath.
+ * tribeKey(name) normalizes tribe names for the indexed lookup column.
+ */
+function openStore(filePath, { tribeKey = (name) => String(name || "") } = {}) {
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.exec(SCHEMA);
+
+  const stmt = {
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    setMeta: db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"),
+
+    getGuildConfig: db.prepare("SELECT data FROM guild_config WHERE guild_id = ?"),
+    saveGuildConfig: db.prepare(
+      "INSERT INTO guild_config (guild_id, data, updated_at) VALUES (?, ?, ?) " +
+        "ON CONFLICT(guild_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at"
+    ),
+    listGuildIds: db.prepare("SELECT guild_id FROM guild_config ORDER BY guild_id"),
+
+    getRequest: db.prepare("SELECT data FROM requests WHERE id = ? AND guild_id = ?"),
+    saveRequest: db.prepare(
+      "INSERT INTO requests (id, guild_id, tribe_key, status, data, updated_at) VALUES (@id, @guildId, @tribeKey, @status, @data, @updatedAt) " +
+        "ON CONFLICT(id) DO UPDATE SET guild_id = excluded.guild_id, tribe_key = excluded.tribe_key, status = excluded.status, " +
+        "data = excluded.data, updated_at = excluded.updated_at"
+    ),
+
+    getClaim: db.prepare("SELECT data FROM claims WHERE id = ? AND guild_id = ?"),
+    saveClaim: db.prepare(
+      "INSERT INTO claims (id, guild_id, bounty_record_id, status, data, updated_at) VALUES (@id, @guildId, @bountyRecordId, @status, @data, @updatedAt) " +
+        "ON CONFLICT(id) DO UPDATE SET guild_id = excluded.guild_id, bounty_record_id = excluded.bounty_record_id, status = excluded.status, " +
+        "data = excluded.data, updated_at = excluded.updated_at"
+    ),
+
+    getReport: db.prepare("SELECT data FROM reports WHERE id = ? AND guild_id = ?"),
+    saveReport: db.prepare(
+      "INSERT INTO reports (id, guild_id, record_id, status, data, updated_at) VALUES (@id, @guildId, @recordId, @status, @data, @updatedAt) " +
+        "ON CONFLICT(id) DO UPDATE SET guild_id = excluded.guild_id, record_id = excluded.record_id, status = excluded.status, " +
+        "data = excluded.data, updated_at = excluded.updated_at"
+    ),
+
+    scheduleJob: db.prepare(
+      "INSERT INTO jobs (guild_id, type, record_id, due_at, attempts, created_at) VALUES (@guildId, @type, @recordId, @dueAt, 0, @createdAt) " +
+        "ON CONFLICT(type, record_id) DO UPDATE SET guild_id = excluded.guild_id, due_at = excluded.due_at, attempts = 0, last_error = NULL, failed_at = NULL"
+    ),
+    ensureJob: db.prepare(
+      "INSERT INTO jobs (guild_id, type, record_id, due_at, attempts, created_at) VALUES (@guildId, @type, @recordId, @dueAt, 0, @createdAt) " +
+        "ON CONFLICT(type, record_id) DO NOTHING"
+    ),
+    cancelJobs: db.prepare("DELETE FROM jobs WHERE record_id = ?"),
+    cancelJob: db.prepare("DELETE FROM jobs WHERE record_id = ? AND type = ?"),
+    getJob: db.prepare("SELECT * FROM jobs WHERE type = ? AND record_id = ?"),
+    listDueJobs: db.prepare("SELECT * FROM jobs WHERE failed_at IS NULL AND due_at <= ? ORDER BY due_at, id LIMIT ?"),
+    completeJob: db.prepare("DELETE FROM jobs WHERE id = ?"),
+    retryJob: db.prepare("UPDATE jobs SET attempts = attempts + 1, last_error = @error, due_at = @dueAt WHERE id = @id"),
+    rescheduleJob: db.prepare("UPDATE jobs SET attempts = 0, last_error = NULL, due_at = @dueAt WHERE id = @id"),
+    failJob: db.prepare("UPDATE jobs SET attempts = attempts + 1, last_error = @error, failed_at = @failedAt WHERE id = @id"),
+    countJobs: db.prepare("SELECT COUNT(*) AS n FROM jobs WHERE failed_at IS NULL"),
+
+    appendAudit: db.prepare(
+      "INSERT INTO audit_log (guild_id, at, actor_id, action, record_id, claim_id, tribe_key, tribe_name, before, after) " +
+        "VALUES (@guildId, @at, @actorId, @action, @recordId, @claimId, @tribeKey, @tribeName, @before, @after)"
+    ),
+
+    getLatestRules: db.prepare("SELECT * FROM rules_versions WHERE guild_id = ? ORDER BY version DESC LIMIT 1"),
+    addRulesVersion: db.prepare(
+      "INSERT INTO rules_versions (guild_id, version, text, created_by, created_at) " +
+        "SELECT @guildId, COALESCE(MAX(version), 0) + 1, @text, @createdBy, @createdAt FROM rules_versions WHERE guild_id = @guildId"
+    ),
+    recordRulesAcceptance: db.prepare("INSERT INTO rules_acceptances (guild_id, user_id, version, accepted_at) VALUES (?, ?, ?, ?)"),
+    getLatestAcceptance: db.prepare("SELECT * FROM rules_acceptances WHERE guild_id = ? AND user_id = ? ORDER BY version DESC, accepted_at DESC LIMIT 1"),
+
+    createPayout: db.prepare(
+      "INSERT INTO payouts (id, guild_id, claim_id, record_id, tribe_name, user_id, amount, status, created_at) " +
+        "VALUES (@id, @guildId, @claimId, @recordId, @tribeName, @userId, @amount, 'owed', @createdAt) ON CONFLICT(claim_id) DO NOTHING"
+    ),
+    getPayout: db.prepare("SELECT * FROM payouts WHERE id = ? AND guild_id = ?"),
+    getPayoutByClaim: db.prepare("SELECT * FROM payouts WHERE claim_id = ?"),
+    setPayoutLogMessage: db.prepare("UPDATE payouts SET log_channel_id = ?, log_message_id = ? WHERE id = ?"),
+    markPayoutPaid: db.prepare("UPDATE payouts SET status = 'paid', paid_at = ?, paid_by = ? WHERE id = ? AND status = 'owed'"),
+    voidPayout: db.prepare("UPDATE payouts SET status = 'voided', voided_at = ?, voided_by = ? WHERE id = ? AND status = 'owed'"),
+    payoutBalances: db.prepare(
+      "SELECT user_id, status, COUNT(*) AS n, SUM(amount) AS total FROM payouts WHERE guild_id = ? GROUP BY user_id, status"
+    ),
+
+    getTribe: db.prepare("SELECT data FROM tribes WHERE id = ? AND guild_id = ?"),
+    saveTribe: db.prepare(
+      "INSERT INTO tribes (id, guild_id, data, updated_at) VALUES (@id, @guildId, @data, @updatedAt) " +
+        "ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at"
+    ),
+    deleteTribe: db.prepare("DELETE FROM tribes WHERE guild_id = ? AND id = ?"),
+    deleteTribeAliases: db.prepare("DELETE FROM tribe_aliases WHERE guild_id = ? AND tribe_id = ?"),
+    listTribes: db.prepare("SELECT data FROM tribes WHERE guild_id = ? ORDER BY rowid"),
+    findTribeId: db.prepare("SELECT tribe_id FROM tribe_aliases WHERE guild_id = ? AND alias_key = ?"),
+    tribeAliasKeys: db.prepare("SELECT alias_key FROM tribe_aliases WHERE tribe_id = ?"),
+    setTribeAlias: db.prepare(
+      "INSERT INTO tribe_aliases (guild_id, alias_key, tribe_id) VALUES (?, ?, ?) ON CONFLICT(guild_id, alias_key) DO UPDATE SET tribe_id = excluded.tribe_id"
+    ),
+    clearTribeAliases: db.prepare("DELETE FROM tribe_aliases WHERE tribe_id = ?"),
+
+    saveWebhook: db.prepare(
+      "INSERT INTO webhooks (id, guild_id, url, secret, events, created_by, created_at) VALUES (@id, @guildId, @url, @secret, @events, @createdBy, @createdAt)"
+    ),
+    getWebhook: db.prepare("SELECT * FROM webhooks WHERE id = ? AND guild_id = ?"),
+    deleteWebhook: db.prepare("DELETE FROM webhooks WHERE guild_id = ? AND id = ?"),
+    listWebhooks: db.prepare("SELECT * FROM webhooks WHERE guild_id = ? ORDER BY created_at"),
+    createWebhookDelivery: db.prepare(
+      "INSERT INTO webhook_deliveries (guild_id, webhook_id, event, payload, created_at) VALUES (@guildId, @webhookId, @event, @payload, @createdAt)"
+    ),
+    getWebhookDelivery: db.prepare("SELECT * FROM webhook_deliveries WHERE id = ?"),
+    recordWebhookAttempt: db.prepare(
+      "UPDATE webhook_deliveries SET attempts = attempts + 1, status = @status, last_status = @lastStatus, last_error = @lastError, " +
+        "delivered_at = CASE WHEN @status = 'delivered' THEN @at ELSE delivered_at END WHERE id = @id"
+    ),
+    listWebhookDeliveries: db.prepare("SELECT * FROM webhook_deliveries WHERE guild_id = @guildId AND (@webhookId IS NULL OR webhook_id = @webhookId) ORDER BY id DESC LIMIT @limit"),
+    pruneWebhookDeliveries: db.prepare("DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?"),
+  };
+
+  /**
+   * Every normalized name that refers to the same tribe as `name` (its canonical
+   * name and aliases), so lookups by any alias see the records filed under all of them.
+   */
+  function tribeKeysFor(guildId, name) {
+    const key = tribeKey(name);
+    if (!guildId) return [key];
+    const hit = stmt.findTribeId.get(guildId, key);
+    if (!hit) return [key];
+    const keys = stmt.tribeAliasKeys.all(hit.tribe_id).map((r) => r.alias_key);
+    return keys.includes(key) ? keys : [key, ...keys];
+  }
+
+  // Appends "tribe_key IN (...)" for the filter's tribeName to parts/params.
+  function addTribeClause(filter, parts, params) {
+    if (filter.tribeName === undefined || filter.tribeName === null) return;
+    const keys = tribeKeysFor(filter.guildId, filter.tribeName);
+    parts.push(`tribe_key IN (${keys.map((_, i) => `@tribeKey${i}`).join(", ")})`);
+    keys.forEach((k, i) => (params[`tribeKey${i}`] = k));
+  }
+
+  function getMeta(key) {
+    const row = stmt.getMeta.get(key);
+    return row ? row.value : null;
+  }
+
+  function setMeta(key, value) {
+    stmt.setMeta.run(key, value === null || value === undefined ? null : String(value));
+  }
+
+  function getGuildConfig(guildId) {
+    return parseRow(stmt.getGuildConfig.get(guildId));
+  }
+
+  function saveGuildConfig(guildId, cfg) {
+    stmt.saveGuildConfig.run(guildId, JSON.stringify(cfg), Date.now());
+  }
+
+  function listGuildIds() {
+    return stmt.listGuildIds.all().map((r) => r.guild_id);
+  }
+
+  function getRequest(guildId, id) {
+    if (!guildId || !id) return null;
+    return parseRow(stmt.getRequest.get(id, guildId));
+  }
+
+  function saveRequest(record) {
+    if (!record || !record.id || !record.guildId) throw new Error("saveRequest: record needs id and guildId");
+    stmt.saveRequest.run({
+      id: record.id,
+      guildId: record.guildId,
+      tribeKey: tribeKey(record.tribeName),
+      status: record.status || null,
+      data: JSON.stringify(record),
+      updatedAt: Date.now(),
+    });
+    return record;
+  }
+
+  /** filter: { guildId?, tribeName?, status? } — tribeName also matches the tribe's aliases */
+  function listRequests(filter = {}) {
+    const where = whereFrom(filter, { guildId: "guild_id", status: "status" });
+    const parts = where.sql ? [where.sql.replace(/^WHERE /, "")] : [];
+    const params = { ...where.params };
+    addTribeClause(filter, parts, params);
+    return db
+      .prepare(`SELECT data FROM requests ${parts.length ? `WHERE ${parts.join(" AND ")}` : ""} ORDER BY rowid`)
+      .all(params)
+      .map(parseRow)
+      .filter(Boolean);
+  }
+
+  function getClaim(guildId, id) {
+    if (!guildId || !id) return null;
+    return parseRow(stmt.getClaim.get(id, guildId));
+  }
+
+  function saveClaim(claim) {
+    if (!claim || !claim.id || !claim.guildId) throw new Error("saveClaim: claim needs id and guildId");
+    stmt.saveClaim.run({
+      id: claim.id,
+      guildId: claim.guildId,
+      bountyRecordId: claim.bountyRecordId || null,
+      status: claim.status || null,
+      data: JSON.stringify(claim),
+      updatedAt: Date.now(),
+    });
+    return claim;
+  }
+
+  /** filter: { guildId?, status?, bountyRecordId? } */
+  function listClaims(filter = {}) {
+    const where = whereFrom(filter, { guildId: "guild_id", status: "status", bountyRecordId: "bounty_record_id" });
+    return db
+      .prepare(`SELECT data FROM claims ${where.sql} ORDER BY rowid`)
+      .all(where.params)
+      .map(parseRow)
+      .filter(Boolean);
+  }
+
+  function getReport(guildId, id) {
+    if (!guildId || !id) return null;
+    return parseRow(stmt.getReport.get(id, guildId));
+  }
+
+  function saveReport(report) {
+    if (!report || !report.id || !report.guildId) throw new Error("saveReport: report needs id and guildId");
+    stmt.saveReport.run({
+      id: report.id,
+      guildId: report.guildId,
+      recordId: report.recordId || null,
+      status: report.status || null,
+      data: JSON.stringify(report),
+      updatedAt: Date.now(),
+    });
+    return report;
+  }
+
+  /** filter: { guildId?, status?, recordId? } */
+  function listReports(filter = {}) {
+    const where = whereFrom(filter, { guildId: "guild_id", status: "status", recordId: "record_id" });
+    return db
+      .prepare(`SELECT data FROM reports ${where.sql} ORDER BY rowid`)
+      .all(where.params)
+      .map(parseRow)
+      .filter(Boolean);
+  }
+
+  // -------------------- Jobs --------------------
+  function jobFromRow(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      guildId: row.guild_id,
+      type: row.type,
+      recordId: row.record_id,
+      dueAt: row.due_at,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      failedAt: row.failed_at,
+      createdAt: row.created_at,
+    };
+  }
+
+  /** Create or replace the job for (type, recordId); resets attempts. */
+  function scheduleJob({ guildId, type, recordId, dueAt }) {
+    stmt.scheduleJob.run({ guildId, type, recordId, dueAt, createdAt: Date.now() });
+  }
+
+  /** Create the job only if none exists for (type, recordId). */
+  function ensureJob({ guildId, type, recordId, dueAt }) {
+    stmt.ensureJob.run({ guildId, type, recordId, dueAt, createdAt: Date.now() });
+  }
+
+  function cancelJobs(recordId, types = null) {
+    if (!types) return stmt.cancelJobs.run(recordId).changes;
+    let n = 0;
+    for (const type of types) n += stmt.cancelJob.run(recordId, type).changes;
+    return n;
+  }
+
+  function getJob(type, recordId) {
+    return jobFromRow(stmt.getJob.get(type, recordId));
+  }
+
+  function listDueJobs(now = Date.now(), limit = 50) {
+    return stmt.listDueJobs.all(now, limit).map(jobFromRow);
+  }
+
+  function completeJob(id) {
+    stmt.completeJob.run(id);
+  }
+
+  function retryJob(id, { error, dueAt }) {
+    stmt.retryJob.run({ id, error: error ? String(error).slice(0, 500) : null, dueAt });
+  }
+
+  /** Run the same job again later (recurring work); clears the retry state. */
+  function rescheduleJob(id, dueAt) {
+    stmt.rescheduleJob.run({ id, dueAt });
+  }
+
+  function failJob(id, error) {
+    stmt.failJob.run({ id, error: error ? String(error).slice(0, 500) : null, failedAt: Date.now() });
+  }
+
+  function countJobs() {
+    return stmt.countJobs.get().n;
+  }
+
+  // -------------------- Audit log --------------------
+  function appendAudit({ guildId, actorId = null, action, recordId = null, claimId = null, tribeName = null, before = null, after = null, at = Date.now() }) {
+    stmt.appendAudit.run({
+      guildId,
+      at,
+      actorId,
+      action,
+      recordId,
+      claimId,
+      tribeKey: tribeName ? tribeKey(tribeName) : null,
+      tribeName,
+      before: before ? JSON.stringify(before) : null,
+      after: after ? JSON.stringify(after) : null,
+    });
+  }
+
+  /** filter: { guildId, tribeName?, actorId?, action? (name or category), since?, until?, limit? } — newest first */
+  function listAudit(filter = {}) {
+    const parts = [];
+    const params = {};
+    // An action without a dot is a category: "bounty" matches bounty.add, bounty.remove, ...
+    const category = filter.action && !filter.action.includes(".") ? filter.action : undefined;
+    const where = whereFrom({ ...filter, action: category ? undefined : filter.action }, { guildId: "guild_id", actorId: "actor_id", action: "action" });
+    if (where.sql) parts.push(where.sql.replace(/^WHERE /, ""));
+    Object.assign(params, where.params);
+    if (category) {
+      parts.push("action LIKE @actionPrefix");
+      params.actionPrefix = `${category}.%`;
+    }
+    addTribeClause({ ...filter, tribeName: filter.tribeName || undefined }, parts, params);
+    if (typeof filter.since === "number") {
+      parts.push("at >= @since");
+      params.since = filter.since;
+    }
+    if (typeof filter.until === "number") {
+      parts.push("at <= @until");
+      params.until = filter.until;
+    }
+    params.limit = filter.limit || 50;
+    const sql = `SELECT * FROM audit_log ${parts.length ? `WHERE ${parts.join(" AND ")}` : ""} ORDER BY at DESC, id DESC LIMIT @limit`;
+    return db
+      .prepare(sql)
+      .all(params)
+      .map((row) => ({
+        id: row.id,
+        guildId: row.guild_id,
+        at: row.at,
+        actorId: row.actor_id,
+        action: row.action,
+        recordId: row.record_id,
+        claimId: row.claim_id,
+        tribeName: row.tribe_name,
+        before: row.before ? JSON.parse(row.before) : null,
+        after: row.after ? JSON.parse(row.after) : null,
+      }));
+  }
+
+  // -------------------- Rules --------------------
+  function rulesFromRow(row) {
+    if (!row) return null;
+    return { guildId: row.guild_id, version: row.version, text: row.text, createdBy: row.created_by, createdAt: row.created_at };
+  }
+
+  /** Latest stored rules version for the guild, or null if the rules were never edited. */
+  function getLatestRules(guildId) {
+    return rulesFromRow(stmt.getLatestRules.get(guildId));
+  }
+
+  /** Store a new rules text as the next version number; returns the new version. */
+  function addRulesVersion({ guildId, text, createdBy = null }) {
+    return transaction(() => {
+      stmt.addRulesVersion.run({ guildId, text, createdBy, createdAt: Date.now() });
+      return getLatestRules(guildId);
+    });
+  }
+
+  function recordRulesAcceptance({ guildId, userId, version }) {
+    stmt.recordRulesAcceptance.run(guildId, userId, version, Date.now());
+  }
+
+  /** The user's acceptance of the highest rules version, or null. */
+  function getLatestAcceptance(guildId, userId) {
+    const row = stmt.getLatestAcceptance.get(guildId, userId);
+    return row ? { guildId: row.guild_id, userId: row.user_id, version: row.version, acceptedAt: row.accepted_at } : null;
+  }
+
+  // -------------------- Payouts --------------------
+  function payoutFromRow(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      guildId: row.guild_id,
+      claimId: row.claim_id,
+      recordId: row.record_id,
+      tribeName: row.tribe_name,
+      userId: row.user_id,
+      amount: row.amount,
+      status: row.status,
+      createdAt: row.created_at,
+      paidAt: row.paid_at,
+      paidBy: row.paid_by,
+      voidedAt: row.voided_at,
+      voidedBy: row.voided_by,
+      logChannelId: row.log_channel_id,
+      logMessageId: row.log_message_id,
+    };
+  }
+
+  /** One payout per claim; returns the existing one if the claim already has a payout. */
+  function createPayout({ id, guildId, claimId, recordId = null, tribeName = null, userId, amount }) {
+    stmt.createPayout.run({ id, guildId, claimId, recordId, tribeName, userId, amount, createdAt: Date.now() });
+    return payoutFromRow(stmt.getPayoutByClaim.get(claimId));
+  }
+
+  function getPayout(guildId, id) {
+    return payoutFromRow(stmt.getPayout.get(id, guildId));
+  }
+
+  function getPayoutByClaim(claimId) {
+    return payoutFromRow(stmt.getPayoutByClaim.get(claimId));
+  }
+
+  function setPayoutLogMessage(id, channelId, messageId) {
+    stmt.setPayoutLogMessage.run(channelId, messageId, id);
+  }
+
+  /** owed -> paid; returns false if the payout wasn't owed. */
+  function markPayoutPaid(id, paidBy) {
+    return stmt.markPayoutPaid.run(Date.now(), paidBy, id).changes > 0;
+  }
+
+  /** owed -> voided; returns false if the payout wasn't owed. */
+  function voidPayout(id, voidedBy) {
+    return stmt.voidPayout.run(Date.now(), voidedBy, id).changes > 0;
+  }
+
+  /** filter: { guildId, status?, userId?, limit? } — oldest first */
+  function listPayouts(filter = {}) {
+    const where = whereFrom(filter, { guildId: "guild_id", status: "status", userId: "user_id" });
+    const params = { ...where.params, limit: filter.limit || 500 };
+    return db
+      .prepare(`SELECT * FROM payouts ${where.sql} ORDER BY created_at LIMIT @limit`)
+      .all(params)
+      .map(payoutFromRow);
+  }
+
+  /** { [userId]: { owed, paid, voided, owedCount, paidCount, voidedCount } } */
+  function payoutBalances(guildId) {
+    const out = {};
+    for (const row of stmt.payoutBalances.all(guildId)) {
+      const b = out[row.user_id] || (out[row.user_id] = { owed: 0, paid: 0, voided: 0, owedCount: 0, paidCount: 0, voidedCount: 0 });
+      b[row.status] = row.total || 0;
+      b[`${row.status}Count`] = row.n;
+    }
+    return out;
+  }
+
+  // -------------------- Tribes --------------------
+  function getTribe(guildId, id) {
+    if (!guildId || !id) return null;
+    return parseRow(stmt.getTribe.get(id, guildId));
+  }
+
+  /** The registered tribe whose canonical name or alias matches name, or null. */
+  function findTribe(guildId, name) {
+    const hit = stmt.findTribeId.get(guildId, tribeKey(name));
+    return hit ? getTribe(guildId, hit.tribe_id) : null;
+  }
+
+  /** Upsert the tribe and point its name + aliases at it (an alias moves from any other tribe). */
+  function saveTribe(tribe) {
+    if (!tribe || !tribe.id || !tribe.guildId || !tribe.name) throw new Error("saveTribe: tribe needs id, guildId and name");
+    return transaction(() => {
+      stmt.saveTribe.run({ id: tribe.id, guildId: tribe.guildId, data: JSON.stringify(tribe), updatedAt: Date.now() });
+      stmt.clearTribeAliases.run(tribe.id);
+      for (const n of [tribe.name, ...(tribe.aliases || [])]) stmt.setTribeAlias.run(tribe.guildId, tribeKey(n), tribe.id);
+      return tribe;
+    });
+  }
+
+  function deleteTribe(guildId, id) {
+    transaction(() => {
+      stmt.deleteTribeAliases.run(guildId, id);
+      stmt.deleteTribe.run(guildId, id);
+    });
+  }
+
+  function listTribes(guildId) {
+    return stmt.listTribes.all(guildId).map(parseRow).filter(Boolean);
+  }
+
+  // -------------------- Webhooks --------------------
+  function webhookFromRow(row) {
+    if (!row) return null;
+    let events = [];
+    try {
+      events = JSON.parse(row.events);
+    } catch {
+      events = [];
+    }
+    return { id: row.id, guildId: row.guild_id, url: row.url, secret: row.secret, events, createdBy: row.created_by, createdAt: row.created_at };
+  }
+
+  function deliveryFromRow(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      guildId: row.guild_id,
+      webhookId: row.webhook_id,
+      event: row.event,
+      payload: row.payload,
+      status: row.status,
+      attempts: row.attempts,
+      lastStatus: row.last_status,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at,
+    };
+  }
+
+  /** webhook: { id, guildId, url, secret, events[] (empty = every event), createdBy } */
+  function saveWebhook(webhook) {
+    stmt.saveWebhook.run({ ...webhook, events: JSON.stringify(webhook.events || []), createdBy: webhook.createdBy || null, createdAt: Date.now() });
+    return getWebhook(webhook.guildId, webhook.id);
+  }
+
+  function getWebhook(guildId, id) {
+    return webhookFromRow(stmt.getWebhook.get(id, guildId));
+  }
+
+  function deleteWebhook(guildId, id) {
+    return stmt.deleteWebhook.run(guildId, id).changes > 0;
+  }
+
+  function listWebhooks(guildId) {
+    return stmt.listWebhooks.all(guildId).map(webhookFromRow);
+  }
+
+  /** Queue one delivery; payload is the exact JSON body that gets signed and sent. Returns the delivery. */
+  function createWebhookDelivery({ guildId, webhookId, event, payload }) {
+    const info = stmt.createWebhookDelivery.run({ guildId, webhookId, event, payload, createdAt: Date.now() });
+    return getWebhookDelivery(info.lastInsertRowid);
+  }
+
+  function getWebhookDelivery(id) {
+    return deliveryFromRow(stmt.getWebhookDelivery.get(id));
+  }
+
+  /** status: pending (will retry) | delivered | failed (gave up) */
+  function recordWebhookAttempt(id, { status, lastStatus = null, lastError = null }) {
+    stmt.recordWebhookAttempt.run({ id, status, lastStatus, lastError: lastError ? String(lastError).slice(0, 500) : null, at: Date.now() });
+  }
+
+  /** filter: { guildId, webhookId?, limit? } — newest first */
+  function listWebhookDeliveries({ guildId, webhookId = null, limit = 20 }) {
+    return stmt.listWebhookDeliveries.all({ guildId, webhookId, limit }).map(deliveryFromRow);
+  }
+
+  /** Drop finished deliveries created before the cutoff; pending ones are kept until they finish. */
+  function pruneWebhookDeliveries(before) {
+    return stmt.pruneWebhookDeliveries.run(before).changes;
+  }
+
+  function transaction(fn) {
+    return db.transaction(fn)();
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return {
+    db,
+    getMeta,
+    setMeta,
+    getGuildConfig,
+    saveGuildConfig,
+    listGuildIds,
+    getRequest,
+    saveRequest,
+    listRequests,
+    getClaim,
+    saveClaim,
+    listClaims,
+    getReport,
+    saveReport,
+    listReports,
+    scheduleJob,
+    ensureJob,
+    cancelJobs,
+    getJob,
+    listDueJobs,
+    completeJob,
+    retryJob,
+    rescheduleJob,
+    failJob,
+    countJobs,
+    appendAudit,
+    listAudit,
+    getLatestRules,
+    addRulesVersion,
+    recordRulesAcceptance,
+    getLatestAcceptance,
+    createPayout,
+    getPayout,
+    getPayoutByClaim,
+    setPayoutLogMessage,
+    markPayoutPaid,
+    voidPayout,
+    listPayouts,
+    payoutBalances,
+    getTribe,
+    findTribe,
+    saveTribe,
+    deleteTribe,
+    listTribes,
+    tribeKeysFor,
+    saveWebhook,
+    getWebhook,
+    deleteWebhook,
+    listWebhooks,
+    createWebhookDelivery,
+    getWebhookDelivery,
+    recordWebhookAttempt,
+    listWebhookDeliveries,
+    pruneWebhookDeliveries,
+    transaction,
+    close,
+  };
+}
+
+function isFlatRecord(value) {
+  return value && typeof value === "object" && typeof value.id === "string";
+}
+
+// Old requests.json/claims.json were flat { [id]: record } maps; later ones are keyed by guild first.
+function flattenPartitioned(raw, legacyGuildId) {
+  const out = [];
+  for (const [key, value] of Object.entries(raw || {})) {
+    if (isFlatRecord(value)) {
+      out.push({ ...value, guildId: value.guildId || legacyGuildId || UNASSIGNED_GUILD });
+      continue;
+    }
+    if (!value || typeof value !== "object") continue;
+    for (const rec of Object.values(value)) {
+      if (isFlatRecord(rec)) out.push({ ...rec, guildId: rec.guildId || key });
+    }
+  }
+  return out;
+}
+
+/**
+ * One-shot import of the JSON files (state.json, requests.json, claims.json).
+ * Accepts both the single-guild layout and the per-guild layout.
+ * Runs at most once per database; returns null when it already ran.
+ */
+function importJsonSnapshot(store, { state, requests, claims, fallbackGuildId = null, defaultGuildConfig = {} }) {
+  if (store.getMeta("jsonImportedAt")) return null;
+
+  const counts = { guilds: 0, requests: 0, claims: 0, unassigned: 0 };
+  store.transaction(() => {
+    let legacyGuildId = fallbackGuildId;
+    if (state && state.guilds && typeof state.guilds === "object") {
+      for (const [guildId, cfg] of Object.entries(state.guilds)) {
+        store.saveGuildConfig(guildId, { ...defaultGuildConfig, ...cfg });
+        counts.guilds++;
+      }
+    } else if (state && state.guildId) {
+      const { guildId, ...cfg } = state;
+      store.saveGuildConfig(guildId, { ...defaultGuildConfig, ...cfg });
+      legacyGuildId = guildId;
+      counts.guilds++;
+    }
+
+    for (const r of flattenPartitioned(requests, legacyGuildId)) {
+      store.saveRequest(r);
+      counts.requests++;
+      if (r.guildId === UNASSIGNED_GUILD) counts.unassigned++;
+    }
+    for (const c of flattenPartitioned(claims, legacyGuildId)) {
+      store.saveClaim(c);
+      counts.claims++;
+      if (c.guildId === UNASSIGNED_GUILD) counts.unassigned++;
+    }
+
+    store.setMeta("jsonImportedAt", Date.now());
+  });
+  return counts;
+}
+
+module.exports = { openStore, importJsonSnapshot, UNASSIGNED_GUILD };